@@ -1,6 +1,303 @@
 // Web Audio API implementation for karl2d/audio package
 // This file provides audio functionality that can be called from Odin/WASM
 
+// Bus effect types and parameters, indexed by the enum values passed from Odin
+const AUDIO_EFFECT_TYPES = [
+  "lowpass",
+  "highpass",
+  "bandpass",
+  "notch",
+  "peaking",
+  "lowshelf",
+  "highshelf",
+  "delay",
+  "reverb",
+  "compressor",
+]
+
+const AUDIO_EFFECT_PARAMS = [
+  "frequency",
+  "Q",
+  "gain",
+  "delayTime",
+  "feedback",
+  "mix",
+  "threshold",
+  "knee",
+  "ratio",
+  "attack",
+  "release",
+  "duration",
+  "decay",
+]
+
+// Fade curve shapes, indexed by the enum values passed from Odin
+const AUDIO_FADE_CURVES = ["linear", "exponential", "smooth"]
+
+// Source load states and failure codes reported to Odin
+const AUDIO_LOAD_STATE = { LOADING: 0, READY: 1, FAILED: 2 }
+const AUDIO_LOAD_ERROR = {
+  NONE: 0,
+  INVALID_HANDLE: 1,
+  DECODE_FAILED: 2,
+  STREAM_FAILED: 3,
+}
+
+// Event types written to the WASM event ring
+const AUDIO_EVENT = {
+  INSTANCE_STARTED: 1,
+  INSTANCE_FINISHED: 2,
+  INSTANCE_LOOPED: 3,
+  INSTANCE_STOLEN: 4,
+  INSTANCE_FAILED: 5,
+  SOURCE_LOADED: 6,
+  SOURCE_FAILED: 7,
+  CONTEXT_SUSPENDED: 8,
+  CONTEXT_RESUMED: 9,
+  STREAM_UNDERRUN: 10,
+  RECORDING_READY: 11,
+  RECORDING_FAILED: 12,
+  OFFLINE_RENDER_READY: 13,
+  OFFLINE_RENDER_FAILED: 14,
+  MICROPHONE_ACTIVE: 15,
+  MICROPHONE_FAILED: 16,
+}
+
+// Events held back while the WASM ring is full, before the oldest drop
+const AUDIO_EVENT_QUEUE_LIMIT = 4096
+
+// PannerNode models, indexed by the enum values passed from Odin
+const AUDIO_DISTANCE_MODELS = ["linear", "inverse", "exponential"]
+const AUDIO_PANNING_MODELS = ["HRTF", "equalpower"]
+
+// Which voice to give up when a voice limit is hit
+const AUDIO_STEAL_POLICIES = ["oldest", "quietest", "farthest", "reject"]
+
+// Recording states, and the container formats tried in order, indexed by
+// the values reported to Odin
+const AUDIO_RECORDING_STATE = {
+  RECORDING: 0,
+  FINISHING: 1,
+  READY: 2,
+  FAILED: 3,
+}
+const AUDIO_RECORDING_FORMATS = [
+  { mimeType: "audio/webm;codecs=opus", extension: "webm" },
+  { mimeType: "audio/ogg;codecs=opus", extension: "ogg" },
+  { mimeType: "audio/mp4", extension: "m4a" },
+]
+
+// Offline render progress, and the formats a finished render can be read
+// back in, indexed by the values passed to and from Odin
+const AUDIO_OFFLINE_STATE = {
+  IDLE: 0,
+  SCRIPTING: 1,
+  RENDERING: 2,
+  READY: 3,
+  FAILED: 4,
+}
+const AUDIO_RENDER_FORMATS = ["f32", "i16", "wav"]
+
+// Microphone capture state, and the browser's permission for it as far as
+// it's known, reported to Odin
+const AUDIO_MIC_STATE = {
+  IDLE: 0,
+  REQUESTING: 1,
+  ACTIVE: 2,
+  DENIED: 3,
+  UNAVAILABLE: 4,
+}
+const AUDIO_MIC_PERMISSION = { UNKNOWN: 0, PROMPT: 1, GRANTED: 2, DENIED: 3 }
+
+// Microphone samples reach the capture ring in blocks of this many frames
+const AUDIO_MIC_BLOCK_FRAMES = 1024
+
+// How often ducking rules check their trigger levels
+const AUDIO_DUCK_INTERVAL_MS = 20
+
+// Saved player settings live under this prefix plus the game's key, and are
+// written this long after the last change
+const AUDIO_SETTINGS_PREFIX = "karl2d-audio:"
+const AUDIO_SETTINGS_SAVE_DELAY_MS = 250
+
+// Procedural sound effect parameters, in the order of the f32 fields after
+// the u32 wave type in the parameter block passed from Odin. Same meaning and
+// ranges as sfxr: mostly 0..1, ramps and offsets -1..1.
+const AUDIO_SFX_PARAMS = [
+  "attack",
+  "sustain",
+  "punch",
+  "decay",
+  "baseFreq",
+  "freqLimit",
+  "freqRamp",
+  "freqDeltaRamp",
+  "vibratoStrength",
+  "vibratoSpeed",
+  "arpMod",
+  "arpSpeed",
+  "duty",
+  "dutyRamp",
+  "repeatSpeed",
+  "phaserOffset",
+  "phaserRamp",
+  "lpfFreq",
+  "lpfRamp",
+  "lpfResonance",
+  "hpfFreq",
+  "hpfRamp",
+  "volume",
+]
+
+// Procedural sound effect waveforms and presets, indexed by the enum values
+// passed from Odin
+const AUDIO_SFX_WAVES = ["square", "sawtooth", "sine", "noise"]
+const AUDIO_SFX_PRESETS = [
+  "pickup",
+  "laser",
+  "explosion",
+  "powerup",
+  "hit",
+  "jump",
+  "blip",
+]
+
+// Sample formats for raw PCM sources, indexed by the enum values passed from
+// Odin
+const AUDIO_PCM_FORMATS = ["f32", "i16"]
+
+// Generated effects are rendered at a fixed rate so they sound the same
+// everywhere, and cut off if the parameters never let them end
+const AUDIO_SFX_SAMPLE_RATE = 44100
+const AUDIO_SFX_MAX_DURATION = 10
+
+// AudioWorklet processors behind output streams and microphone capture,
+// loaded from a blob URL. The stream processor plays interleaved f32 frames
+// out of a ring whose header is two u32 frame counters, write then read,
+// followed by the samples. With shared WASM memory it reads the ring
+// directly; otherwise it asks the main thread to copy samples over whenever
+// its own queue runs low. Ring capacity is a power of two so the u32
+// counters can wrap.
+const AUDIO_WORKLET_PROCESSORS = `
+class Karl2dStreamProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super()
+    const o = options.processorOptions
+    this.channels = o.channels
+    this.capacity = o.capacity
+    this.bufferFrames = o.bufferFrames
+    this.priming = true
+    this.requested = false
+    this.running = true
+    this.shared = !!o.memory
+
+    if (this.shared) {
+      this.header = new Uint32Array(o.memory, o.ptr, 2)
+      this.ring = new Float32Array(o.memory, o.ptr + 8, o.capacity * o.channels)
+    } else {
+      this.header = new Uint32Array(2)
+      this.ring = new Float32Array(o.capacity * o.channels)
+      this.port.onmessage = (e) => this.onMessage(e.data)
+    }
+  }
+
+  onMessage(msg) {
+    if (msg.type === "samples") {
+      const frames = msg.samples.length / this.channels
+      const write = this.header[0]
+      for (let i = 0; i < frames; i++) {
+        const slot = ((write + i) % this.capacity) * this.channels
+        for (let c = 0; c < this.channels; c++) {
+          this.ring[slot + c] = msg.samples[i * this.channels + c]
+        }
+      }
+      this.header[0] = write + frames
+      this.requested = false
+    } else if (msg.type === "bufferFrames") {
+      this.bufferFrames = msg.frames
+    } else if (msg.type === "stop") {
+      this.running = false
+    }
+  }
+
+  process(inputs, outputs) {
+    const output = outputs[0]
+    const frames = output[0].length
+    const read = Atomics.load(this.header, 1)
+    const available = (Atomics.load(this.header, 0) - read) >>> 0
+
+    if (!this.shared && !this.requested) {
+      const free = this.capacity - available
+      if (free >= this.bufferFrames) {
+        this.port.postMessage({ type: "need", frames: free })
+        this.requested = true
+      }
+    }
+
+    if (this.priming && available < Math.max(this.bufferFrames, frames)) {
+      for (const channel of output) channel.fill(0)
+      return this.running
+    }
+    this.priming = false
+
+    const count = Math.min(available, frames)
+    for (let i = 0; i < count; i++) {
+      const slot = ((read + i) % this.capacity) * this.channels
+      for (let c = 0; c < output.length; c++) {
+        output[c][i] = this.ring[slot + Math.min(c, this.channels - 1)]
+      }
+    }
+    Atomics.store(this.header, 1, read + count)
+
+    if (count < frames) {
+      for (const channel of output) channel.fill(0, count)
+      this.priming = true
+      this.port.postMessage({ type: "underrun" })
+    }
+    return this.running
+  }
+}
+
+registerProcessor("karl2d-stream", Karl2dStreamProcessor)
+
+// Collects microphone input into fixed blocks for the main thread
+class Karl2dCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super()
+    this.block = new Float32Array(options.processorOptions.blockFrames)
+    this.filled = 0
+    this.running = true
+    this.port.onmessage = (e) => {
+      if (e.data.type === "stop") this.running = false
+    }
+  }
+
+  process(inputs) {
+    const input = inputs[0][0]
+    if (!input) return this.running
+
+    let offset = 0
+    while (offset < input.length) {
+      const count = Math.min(
+        input.length - offset,
+        this.block.length - this.filled,
+      )
+      this.block.set(input.subarray(offset, offset + count), this.filled)
+      this.filled += count
+      offset += count
+
+      if (this.filled === this.block.length) {
+        this.port.postMessage({ type: "samples", samples: this.block.slice() })
+        this.filled = 0
+      }
+    }
+    return this.running
+  }
+}
+
+registerProcessor("karl2d-capture", Karl2dCaptureProcessor)
+`
+
 const karl2dAudio = {
   // Audio context and nodes
   audioContext: null,
@@ -12,21 +309,118 @@ const karl2dAudio = {
   nextSourceHandle: 1,
   nextInstanceHandle: 1,
   nextBusHandle: 2, // 1 is reserved for master bus
+  nextEffectHandle: 1,
+  nextAnalyserHandle: 1,
+  nextStreamHandle: 1,
+  nextRecordingHandle: 1,
+  nextDuckRuleHandle: 1,
 
   // Storage
-  sources: new Map(), // handle -> { buffer: AudioBuffer, duration: f32 }
-  instances: new Map(), // handle -> { source, sourceNode, gainNode, pannerNode, spatialPanner, ... }
-  buses: new Map(), // handle -> { gainNode, volume, muted }
+  sources: new Map(), // handle -> { buffer: AudioBuffer, duration: f32, stream, url, loopStart, loopEnd }
+  instances: new Map(), // handle -> { source, sourceNode, mediaElement, gainNode, pannerNode, spatialPanner, ... }
+  buses: new Map(), // handle -> { inputNode, gainNode, parentHandle, volume, muted, effects }
+  effects: new Map(), // handle -> { busHandle, type, inputNode, outputNode, node, ... }
+  regions: new Map(), // source handle -> { parentHandle, name, offset, duration, loop, loopStart, loopEnd }
+  loadStates: new Map(), // source handle -> { state, error }
+  analysers: new Map(), // handle -> { node, tapNode, instance, ptr, len, rms, peak, freqData, timeData }
+  streams: new Map(), // handle -> { memory, ptr, capacity, channels, bufferFrames, node, gainNode, ... }
+  workletProcessors: null, // Promise for the worklet module
+  recordings: new Map(), // handle -> { busHandle, format, state, destination, recorder, chunks, bytes, timer }
+  offlineRender: null, // { state, live, liveWasRunning, started, buffer, encoded }
+  duckRules: new Map(), // handle -> { triggerBus, targetBus, thresholdDb, amountDb, attack, release, analyser, ... }
+  duckTimer: null,
+
+  // Mixer snapshots by name, the active stack, and the values covered
+  // fields had before any snapshot touched them
+  snapshots: new Map(), // name -> Map(field key -> value)
+  activeSnapshots: [], // { name, priority, order }
+  snapshotBase: new Map(), // field key -> value
+  nextSnapshotOrder: 1,
+
+  // Opt-in persistence of named bus volumes and mutes
+  settings: {
+    key: "", // empty = off
+    values: {}, // name -> { volume, muted }, as saved
+    bindings: new Map(), // name -> { busHandle, defaultVolume, defaultMuted }
+    saveTimer: null,
+    listening: false,
+  },
 
   // Callback queue - instances that have finished and need callbacks
   finishedCallbacks: [],
 
-  // Pending plays - queued when source isn't ready yet
+  // Event queue, drained into the ring registered from WASM. Nothing is
+  // queued until a ring is registered.
+  events: [], // { type, handle, time }
+  eventRing: null, // { ptr, capacity, dropped }
+
+  // Pending plays - queued until their source loads or fails
   pendingPlays: [],
 
+  // Loop points set on sources that are still decoding
+  pendingLoopPoints: new Map(), // handle -> { loopStart, loopEnd }
+
+  // Voice limits. 0 means unlimited; bus limits live on the bus itself.
+  maxVoices: 0,
+  voiceStealPolicy: 0,
+  sourceVoiceLimits: new Map(), // source handle -> { maxVoices, policy }
+
   // Listener position for spatial audio
   listenerX: 0,
   listenerY: 0,
+  listenerZ: 0,
+  listenerVelX: 0,
+  listenerVelY: 0,
+  listenerVelZ: 0,
+
+  // Doppler: global factor (buses have their own on top) and the speed of
+  // sound in world units per second
+  dopplerFactor: 1.0,
+  speedOfSound: 343.0,
+
+  // Occlusion: low-pass cutoff (Hz) and gain at full occlusion, and the
+  // time constant used to smooth changes
+  occlusionCutoff: 600,
+  occlusionGain: 0.35,
+  occlusionSmoothing: 0.05,
+
+  // Music player. `order` lists queue indices in play order (shuffled or
+  // not) and `position` is the current index into it.
+  music: {
+    queue: [], // source handles
+    order: [],
+    position: -1,
+    instance: 0,
+    busHandle: 1,
+    volume: 1.0,
+    crossfade: 2.0,
+    shuffle: false,
+    repeat: 0, // 0 = off, 1 = all, 2 = one
+    paused: false,
+    timer: null,
+    failures: 0, // tracks in a row that couldn't be played
+  },
+
+  // Microphone capture. Level and pitch are refreshed by updateMicrophone;
+  // raw samples go to `ring` when one is registered.
+  microphone: {
+    state: AUDIO_MIC_STATE.IDLE,
+    permission: AUDIO_MIC_PERMISSION.UNKNOWN,
+    stream: null,
+    sourceNode: null,
+    analyser: null,
+    timeData: null,
+    captureNode: null,
+    gainNode: null,
+    outputNode: null,
+    busHandle: 0, // 0 = not monitored
+    volume: 1.0,
+    ring: null, // { memory, ptr, capacity }
+    overruns: 0,
+    level: 0,
+    peak: 0,
+    pitch: 0,
+  },
 
   // ==========================================
   // LIFECYCLE
@@ -38,32 +432,20 @@ const karl2dAudio = {
     try {
       this.audioContext = new (window.AudioContext ||
         window.webkitAudioContext)()
+      this.createMasterBus()
 
-      // Create master gain (bus 1)
-      this.masterGain = this.audioContext.createGain()
-      this.masterGain.connect(this.audioContext.destination)
-
-      // Store main bus
-      this.buses.set(1, {
-        gainNode: this.masterGain,
-        volume: 1.0,
-        muted: false,
-      })
+      this.initialized = true
+      this.applyAudioSettings()
 
-      // Set up listener for spatial audio
-      this.listener = this.audioContext.listener
-      if (this.listener.positionX) {
-        // Modern API
-        this.listener.positionX.value = 0
-        this.listener.positionY.value = 0
-        this.listener.positionZ.value = 0
-      } else {
-        // Legacy API
-        this.listener.setPosition(0, 0, 0)
+      this.audioContext.onstatechange = () => {
+        const state = this.audioContext && this.audioContext.state
+        if (state === "suspended") {
+          this.emitAudioEvent(AUDIO_EVENT.CONTEXT_SUSPENDED, 0)
+        } else if (state === "running") {
+          this.emitAudioEvent(AUDIO_EVENT.CONTEXT_RESUMED, 0)
+        }
       }
 
-      this.initialized = true
-
       // Resume audio context on user interaction (required by browsers)
       const resumeAudio = () => {
         if (this.audioContext.state === "suspended") {
@@ -81,21 +463,120 @@ const karl2dAudio = {
     }
   },
 
+  // Master bus and listener for a new context
+  createMasterBus: function () {
+    // Create master gain (bus 1)
+    this.masterGain = this.audioContext.createGain()
+    this.masterGain.connect(this.audioContext.destination)
+
+    // Store main bus
+    const masterInput = this.audioContext.createGain()
+    masterInput.connect(this.masterGain)
+    this.buses.set(1, {
+      inputNode: masterInput,
+      gainNode: this.masterGain,
+      parentHandle: 0,
+      dopplerFactor: 1.0,
+      maxVoices: 0,
+      voiceStealPolicy: 0,
+      volume: 1.0,
+      muted: false,
+      effects: [],
+      duckDb: 0,
+      duckRelease: 0,
+    })
+
+    // Set up listener for spatial audio
+    this.listener = this.audioContext.listener
+    if (this.listener.positionX) {
+      // Modern API
+      this.listener.positionX.value = 0
+      this.listener.positionY.value = 0
+      this.listener.positionZ.value = 0
+    } else {
+      // Legacy API
+      this.listener.setPosition(0, 0, 0)
+    }
+  },
+
   shutdown: function () {
     if (!this.initialized) return
 
+    // Drop an unfinished offline render and shut down the live mixer
+    if (this.isOfflineRendering()) {
+      this.offlineRender.liveWasRunning = false
+      this.endOfflineRender()
+    }
+    this.offlineRender = null
+
     // Stop all instances
     for (const [handle, instance] of this.instances) {
       this.stopInstance(instance)
     }
 
+    for (const [handle, source] of this.sources) {
+      if (source.url) URL.revokeObjectURL(source.url)
+    }
+
     this.sources.clear()
+    this.regions.clear()
+    this.loadStates.clear()
+    this.pendingLoopPoints.clear()
+    this.pendingPlays = []
+    this.sourceVoiceLimits.clear()
+    this.maxVoices = 0
+    this.voiceStealPolicy = 0
     this.instances.clear()
     this.buses.clear()
+    this.effects.clear()
     this.finishedCallbacks = []
+    this.events = []
+    this.eventRing = null
     this.nextSourceHandle = 1
     this.nextInstanceHandle = 1
     this.nextBusHandle = 2
+    this.nextEffectHandle = 1
+    this.nextAnalyserHandle = 1
+    this.analysers.clear()
+
+    for (const [handle, stream] of this.streams) {
+      this.destroyAudioStream(handle)
+    }
+    this.nextStreamHandle = 1
+    this.workletProcessors = null
+
+    for (const [handle, recording] of this.recordings) {
+      this.destroyAudioRecording(handle)
+    }
+    this.nextRecordingHandle = 1
+
+    this.stopMicrophone()
+    this.microphone.ring = null
+    this.microphone.overruns = 0
+
+    clearInterval(this.duckTimer)
+    this.duckTimer = null
+    this.duckRules.clear()
+    this.nextDuckRuleHandle = 1
+
+    this.snapshots.clear()
+    this.activeSnapshots = []
+    this.snapshotBase.clear()
+
+    // Bus handles start over; only the main bus keeps its binding
+    this.flushAudioSettings()
+    for (const [name, binding] of this.settings.bindings) {
+      if (binding.busHandle !== 1) this.settings.bindings.delete(name)
+    }
+
+    clearTimeout(this.music.timer)
+    this.music.timer = null
+    this.music.queue = []
+    this.music.order = []
+    this.music.position = -1
+    this.music.instance = 0
+    this.music.paused = false
+    this.music.failures = 0
 
     if (this.audioContext) {
       this.audioContext.close()
@@ -117,353 +598,4091 @@ const karl2dAudio = {
       await this.audioContext.resume()
     }
 
-    try {
-      // Create a copy of the data as an ArrayBuffer
-      const arrayBuffer = data.buffer.slice(
-        data.byteOffset,
-        data.byteOffset + data.byteLength,
+    // Create a copy of the data as an ArrayBuffer
+    const arrayBuffer = data.buffer.slice(
+      data.byteOffset,
+      data.byteOffset + data.byteLength,
+    )
+
+    const handle = this.nextSourceHandle++
+    const loaded = await this.decodeAudioSource(handle, arrayBuffer, isStream)
+    return loaded ? handle : 0
+  },
+
+  // Fill source `handle` from encoded bytes in the background, tracking its
+  // load state. Resolves to true once the source is ready.
+  decodeAudioSource: function (handle, arrayBuffer, isStream) {
+    this.loadStates.set(handle, {
+      state: AUDIO_LOAD_STATE.LOADING,
+      error: AUDIO_LOAD_ERROR.NONE,
+    })
+
+    // Read loop metadata first, decoding detaches the buffer
+    const loopPoints = this.parseLoopMetadata(arrayBuffer)
+
+    // Streamed sources are playable straight away; the handle is usable
+    // while the media element works out the duration
+    if (isStream) {
+      const source = this.createStreamSource(arrayBuffer)
+      Object.assign(source, loopPoints)
+      this.sources.set(handle, source)
+
+      return source.ready.then(
+        () => this.resolveAudioSource(handle, AUDIO_LOAD_ERROR.NONE),
+        (e) => {
+          console.error("Failed to load audio stream:", e)
+          this.destroySourceData(handle)
+          return this.resolveAudioSource(handle, AUDIO_LOAD_ERROR.STREAM_FAILED)
+        },
       )
-      const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer)
+    }
 
-      const handle = this.nextSourceHandle++
-      this.sources.set(handle, {
-        buffer: audioBuffer,
-        duration: audioBuffer.duration,
-      })
-      return handle
+    return this.audioContext.decodeAudioData(arrayBuffer).then(
+      (buffer) => {
+        // Destroyed while decoding
+        if (!this.loadStates.has(handle)) return false
+
+        this.sources.set(handle, {
+          buffer: buffer,
+          duration: buffer.duration,
+          ...loopPoints,
+          ...this.pendingLoopPoints.get(handle),
+        })
+        this.pendingLoopPoints.delete(handle)
+        return this.resolveAudioSource(handle, AUDIO_LOAD_ERROR.NONE)
+      },
+      (e) => {
+        console.error("Failed to decode audio:", e)
+        return this.resolveAudioSource(handle, AUDIO_LOAD_ERROR.DECODE_FAILED)
+      },
+    )
+  },
+
+  // Record how a load ended, then start or drop the plays waiting on it
+  resolveAudioSource: function (handle, error) {
+    const loadState = this.loadStates.get(handle)
+    if (!loadState) return false
+
+    loadState.state =
+      error === AUDIO_LOAD_ERROR.NONE
+        ? AUDIO_LOAD_STATE.READY
+        : AUDIO_LOAD_STATE.FAILED
+    loadState.error = error
+
+    this.emitAudioEvent(
+      error === AUDIO_LOAD_ERROR.NONE
+        ? AUDIO_EVENT.SOURCE_LOADED
+        : AUDIO_EVENT.SOURCE_FAILED,
+      handle,
+    )
+
+    this.processPendingPlays()
+    return loadState.state === AUDIO_LOAD_STATE.READY
+  },
+
+  // Streamed sources keep the compressed bytes and play through a media
+  // element per instance, so long music tracks are never fully decoded.
+  // Duration is filled in once the metadata has loaded.
+  createStreamSource: function (bytes) {
+    const url = URL.createObjectURL(new Blob([bytes]))
+    const source = {
+      buffer: null,
+      duration: 0,
+      stream: true,
+      url: url,
+      loopStart: 0,
+      loopEnd: 0,
+    }
+
+    const probe = new Audio()
+    probe.preload = "metadata"
+    source.ready = new Promise((resolve, reject) => {
+      probe.onloadedmetadata = () => {
+        source.duration = probe.duration
+        probe.removeAttribute("src")
+        resolve(source)
+      }
+      probe.onerror = () => {
+        reject(new Error("Failed to load audio stream"))
+      }
+    })
+    probe.src = url
+
+    return source
+  },
+
+  // Register an already filled AudioBuffer as a source that is ready
+  // straight away
+  addBufferSource: function (buffer) {
+    const handle = this.nextSourceHandle++
+    this.sources.set(handle, {
+      buffer: buffer,
+      duration: buffer.duration,
+      loopStart: 0,
+      loopEnd: 0,
+    })
+    this.loadStates.set(handle, {
+      state: AUDIO_LOAD_STATE.LOADING,
+      error: AUDIO_LOAD_ERROR.NONE,
+    })
+    this.resolveAudioSource(handle, AUDIO_LOAD_ERROR.NONE)
+    return handle
+  },
+
+  // Build a source from interleaved PCM, either a Float32Array (-1..1) or an
+  // Int16Array
+  createAudioSourceFromPcm: function (samples, channels, sampleRate) {
+    if (!this.initialized) return 0
+
+    channels = Math.max(channels, 1)
+    const frameCount = Math.floor(samples.length / channels)
+    if (frameCount === 0) return 0
+
+    let buffer
+    try {
+      buffer = this.audioContext.createBuffer(channels, frameCount, sampleRate)
     } catch (e) {
-      console.error("Failed to load audio:", e)
+      console.error("Failed to create PCM audio source:", e)
       return 0
     }
-  },
 
-  destroyAudio: function (sourceHandle) {
-    this.sources.delete(sourceHandle)
+    this.writePcm(buffer, samples, 0)
+    return this.addBufferSource(buffer)
   },
 
-  getAudioDuration: function (sourceHandle) {
+  // Overwrite part of a PCM (or any decoded) source, starting at
+  // `frameOffset`. Samples past the end of the source are dropped. Instances
+  // started after this hear the new samples; browsers differ on whether ones
+  // already playing do.
+  updateAudioSourcePcm: function (sourceHandle, samples, frameOffset) {
     const source = this.sources.get(sourceHandle)
-    if (!source) return 0
-    return source.duration
+    if (!source || !source.buffer) return false
+
+    this.writePcm(source.buffer, samples, Math.max(frameOffset, 0))
+    return true
   },
 
-  // ==========================================
-  // PLAYBACK
-  // ==========================================
+  writePcm: function (buffer, samples, frameOffset) {
+    const channels = buffer.numberOfChannels
+    const frameCount = Math.min(
+      Math.floor(samples.length / channels),
+      buffer.length - frameOffset,
+    )
+    if (frameCount <= 0) return
 
-  playAudio: function (
-    sourceHandle,
-    busHandle,
-    volume,
-    pan,
-    pitch,
-    loop,
-    delay,
-    isSpatial,
-    posX,
-    posY,
-    minDistance,
-    maxDistance,
-    hasCallback,
-  ) {
-    if (!this.initialized) return 0
+    const scale = samples instanceof Int16Array ? 1 / 32768 : 1
+    const channelData = new Float32Array(frameCount)
+    for (let channel = 0; channel < channels; channel++) {
+      for (let i = 0; i < frameCount; i++) {
+        channelData[i] = samples[i * channels + channel] * scale
+      }
+      buffer.copyToChannel(channelData, channel, frameOffset)
+    }
+  },
 
-    const source = this.sources.get(sourceHandle)
-    if (!source) {
-      // Source not ready yet (still decoding) - queue the play request
-      const handle = this.nextInstanceHandle++
-      this.pendingPlays.push({
-        handle,
-        sourceHandle,
-        busHandle,
-        volume,
-        pan,
-        pitch,
-        loop,
-        delay,
-        isSpatial,
-        posX,
-        posY,
-        minDistance,
-        maxDistance,
-        hasCallback,
-        retries: 0,
-      })
-      // Retry after a delay (only schedule once)
-      if (this.pendingPlays.length === 1) {
-        setTimeout(() => this.processPendingPlays(), 500)
+  destroyAudio: function (sourceHandle) {
+    if (!this.regions.delete(sourceHandle)) {
+      this.destroySourceData(sourceHandle)
+      this.loadStates.delete(sourceHandle)
+      this.pendingLoopPoints.delete(sourceHandle)
+
+      // Sprite regions can't outlive their parent
+      for (const [handle, region] of this.regions) {
+        if (region.parentHandle === sourceHandle) this.regions.delete(handle)
       }
-      return handle
     }
 
-    // Resume context if suspended
-    if (this.audioContext.state === "suspended") {
-      this.audioContext.resume()
+    // Drop plays still waiting on it
+    this.processPendingPlays()
+  },
+
+  destroySourceData: function (sourceHandle) {
+    const source = this.sources.get(sourceHandle)
+    if (source && source.url) {
+      URL.revokeObjectURL(source.url)
     }
+    this.sources.delete(sourceHandle)
+  },
 
-    // Source is ready, play immediately
-    const handle = this.nextInstanceHandle++
-    this.playAudioInternal(
-      {
-        handle,
-        sourceHandle,
-        busHandle,
-        volume,
-        pan,
-        pitch,
-        loop,
-        delay,
-        isSpatial,
-        posX,
-        posY,
-        minDistance,
-        maxDistance,
-        hasCallback,
-      },
-      source,
+  // Load state of a source (regions report their parent's)
+  getLoadState: function (sourceHandle) {
+    const region = this.regions.get(sourceHandle)
+    const handle = region ? region.parentHandle : sourceHandle
+    return (
+      this.loadStates.get(handle) || {
+        state: AUDIO_LOAD_STATE.FAILED,
+        error: AUDIO_LOAD_ERROR.INVALID_HANDLE,
+      }
     )
-    return handle
   },
 
-  stopInstance: function (instance) {
-    if (!instance || instance.stopped) return
+  getAudioLoadState: function (sourceHandle) {
+    return this.getLoadState(sourceHandle).state
+  },
 
-    instance.stopped = true
-    try {
-      instance.sourceNode.stop()
-    } catch (e) {
-      // Ignore errors if already stopped
+  getAudioLoadError: function (sourceHandle) {
+    return this.getLoadState(sourceHandle).error
+  },
+
+  getAudioLoadingCount: function () {
+    let count = 0
+    for (const [handle, loadState] of this.loadStates) {
+      if (loadState.state === AUDIO_LOAD_STATE.LOADING) count++
     }
+    return count
+  },
+
+  // True once nothing is still loading, for loading screens. Failed sources
+  // count as settled; check them with getAudioLoadState.
+  areAllAudioSourcesReady: function () {
+    return this.getAudioLoadingCount() === 0
+  },
+
+  // Resolve a source handle, including sprite regions, which play a slice of
+  // their parent's buffer. Returns undefined until the audio is ready.
+  getSource: function (sourceHandle) {
+    const region = this.regions.get(sourceHandle)
+    if (!region) return this.sources.get(sourceHandle)
+
+    const parent = this.sources.get(region.parentHandle)
+    if (!parent || parent.stream) return undefined
+
+    const offset = Math.min(region.offset, parent.duration)
+    const duration = Math.min(region.duration, parent.duration - offset)
+    return {
+      buffer: parent.buffer,
+      duration: duration,
+      loop: region.loop,
+      loopStart: region.loopStart,
+      loopEnd: region.loopEnd,
+      region: { offset: offset, duration: duration },
+    }
+  },
+
+  // Loop region used by looping plays of this source. An end of 0 means the
+  // end of the source. Applies to plays started after the call.
+  setAudioSourceLoopPoints: function (sourceHandle, loopStart, loopEnd) {
+    const loopPoints = {
+      loopStart: Math.max(loopStart, 0),
+      loopEnd: Math.max(loopEnd, 0),
+    }
+
+    const source =
+      this.regions.get(sourceHandle) || this.sources.get(sourceHandle)
+    if (source) {
+      Object.assign(source, loopPoints)
+    } else {
+      this.pendingLoopPoints.set(sourceHandle, loopPoints)
+    }
+  },
+
+  // Loop points embedded in the file: a WAV `smpl` chunk, or LOOPSTART with
+  // LOOPLENGTH/LOOPEND comments in Ogg Vorbis/Opus (RPG Maker style).
+  // Returns { loopStart, loopEnd } in seconds, zeros if there are none.
+  parseLoopMetadata: function (arrayBuffer) {
+    const none = { loopStart: 0, loopEnd: 0 }
+    if (arrayBuffer.byteLength < 12) return none
+
+    const view = new DataView(arrayBuffer)
+    const tag = (offset) =>
+      String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4))
 
-    // Disconnect nodes
     try {
-      instance.sourceNode.disconnect()
-      instance.gainNode.disconnect()
-      if (instance.pannerNode) instance.pannerNode.disconnect()
-      if (instance.spatialPanner) instance.spatialPanner.disconnect()
+      if (tag(0) === "RIFF" && tag(8) === "WAVE") {
+        return this.parseWavLoopPoints(view, tag) || none
+      }
+      if (tag(0) === "OggS") {
+        return this.parseOggLoopPoints(arrayBuffer) || none
+      }
     } catch (e) {
-      // Ignore disconnect errors
+      // Malformed metadata just means no loop points
     }
+    return none
+  },
+
+  parseWavLoopPoints: function (view, tag) {
+    let sampleRate = 0
+    let loop = null
+
+    let offset = 12
+    while (offset + 8 <= view.byteLength) {
+      const id = tag(offset)
+      const size = view.getUint32(offset + 4, true)
+      const data = offset + 8
+
+      if (id === "fmt " && size >= 8) {
+        sampleRate = view.getUint32(data + 4, true)
+      } else if (id === "smpl" && size >= 60) {
+        // 36 byte header, then 24 byte loop records; end is inclusive
+        if (view.getUint32(data + 28, true) > 0) {
+          loop = {
+            start: view.getUint32(data + 44, true),
+            end: view.getUint32(data + 48, true) + 1,
+          }
+        }
+      }
+
+      offset = data + size + (size & 1)
+    }
+
+    if (!loop || !sampleRate) return null
+    return {
+      loopStart: loop.start / sampleRate,
+      loopEnd: loop.end / sampleRate,
+    }
+  },
+
+  parseOggLoopPoints: function (arrayBuffer) {
+    // Headers live in the first pages, no need to look further
+    const bytes = new Uint8Array(
+      arrayBuffer,
+      0,
+      Math.min(arrayBuffer.byteLength, 65536),
+    )
+    let text = ""
+    for (let i = 0; i < bytes.length; i++) {
+      text += String.fromCharCode(bytes[i])
+    }
+    const view = new DataView(arrayBuffer)
+
+    // Opus granule positions are always 48kHz
+    let sampleRate = 0
+    let comments = -1
+    const vorbis = text.indexOf("\x01vorbis")
+    if (vorbis >= 0) {
+      sampleRate = view.getUint32(vorbis + 12, true)
+      comments = text.indexOf("\x03vorbis")
+      if (comments >= 0) comments += 7
+    } else if (text.indexOf("OpusHead") >= 0) {
+      sampleRate = 48000
+      comments = text.indexOf("OpusTags")
+      if (comments >= 0) comments += 8
+    }
+    if (!sampleRate || comments < 0) return null
+
+    // Vendor string, then a count of length-prefixed KEY=value comments
+    let p = comments
+    p += 4 + view.getUint32(p, true)
+    const count = view.getUint32(p, true)
+    p += 4
+
+    const tags = {}
+    for (let i = 0; i < count && p + 4 <= text.length; i++) {
+      const length = view.getUint32(p, true)
+      p += 4
+      const comment = text.substr(p, length)
+      p += length
+
+      const eq = comment.indexOf("=")
+      if (eq > 0) {
+        tags[comment.slice(0, eq).toUpperCase()] = parseInt(
+          comment.slice(eq + 1),
+          10,
+        )
+      }
+    }
+
+    const start = tags.LOOPSTART
+    if (!(start >= 0)) return null
+
+    let end = 0
+    if (tags.LOOPLENGTH > 0) {
+      end = start + tags.LOOPLENGTH
+    } else if (tags.LOOPEND > 0) {
+      end = tags.LOOPEND
+    }
+    return { loopStart: start / sampleRate, loopEnd: end / sampleRate }
+  },
+
+  getAudioDuration: function (sourceHandle) {
+    const source = this.getSource(sourceHandle)
+    if (!source) return 0
+    return source.duration
+  },
+
+  // ==========================================
+  // PROCEDURAL SFX
+  // ==========================================
+
+  // Render an sfxr-style parameter set into a regular decoded source. The
+  // source is ready straight away and plays like any loaded file. The seed
+  // also drives the noise waveform, so seeded sounds render identically.
+  createAudioSfx: function (params, seed) {
+    if (!this.initialized) return 0
+
+    const samples = this.synthesizeSfx(params, this.createSfxRandom(seed))
+    const buffer = this.audioContext.createBuffer(
+      1,
+      Math.max(samples.length, 1),
+      AUDIO_SFX_SAMPLE_RATE,
+    )
+    buffer.copyToChannel(samples, 0)
+    return this.addBufferSource(buffer)
+  },
+
+  getDefaultSfxParams: function () {
+    return {
+      wave: 0,
+      attack: 0,
+      sustain: 0.3,
+      punch: 0,
+      decay: 0.4,
+      baseFreq: 0.3,
+      freqLimit: 0,
+      freqRamp: 0,
+      freqDeltaRamp: 0,
+      vibratoStrength: 0,
+      vibratoSpeed: 0,
+      arpMod: 0,
+      arpSpeed: 0,
+      duty: 0,
+      dutyRamp: 0,
+      repeatSpeed: 0,
+      phaserOffset: 0,
+      phaserRamp: 0,
+      lpfFreq: 1,
+      lpfRamp: 0,
+      lpfResonance: 0,
+      hpfFreq: 0,
+      hpfRamp: 0,
+      volume: 0.5,
+    }
+  },
+
+  readSfxParams: function (view, ptr) {
+    const params = { wave: view.getUint32(ptr, true) }
+    AUDIO_SFX_PARAMS.forEach((name, i) => {
+      params[name] = view.getFloat32(ptr + 4 + i * 4, true)
+    })
+    return params
+  },
+
+  writeSfxParams: function (view, ptr, params) {
+    view.setUint32(ptr, params.wave, true)
+    AUDIO_SFX_PARAMS.forEach((name, i) => {
+      view.setFloat32(ptr + 4 + i * 4, params[name], true)
+    })
+  },
+
+  // Seeded so a preset can be regenerated exactly. Seed 0 uses Math.random.
+  createSfxRandom: function (seed) {
+    if (!seed) return Math.random
+
+    let state = seed >>> 0
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0
+      let t = state
+      t = Math.imul(t ^ (t >>> 15), t | 1)
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+  },
+
+  // The classic sfxr generator buttons
+  randomizeSfxParams: function (preset, seed) {
+    const random = this.createSfxRandom(seed)
+    const rnd = (range) => random() * range
+    const chance = (n) => Math.floor(random() * n) === 0
+    const p = this.getDefaultSfxParams()
+
+    switch (AUDIO_SFX_PRESETS[preset]) {
+      case "pickup":
+        p.baseFreq = 0.4 + rnd(0.5)
+        p.attack = 0
+        p.sustain = rnd(0.1)
+        p.decay = 0.1 + rnd(0.4)
+        p.punch = 0.3 + rnd(0.3)
+        if (chance(2)) {
+          p.arpSpeed = 0.5 + rnd(0.2)
+          p.arpMod = 0.2 + rnd(0.4)
+        }
+        break
+
+      case "laser":
+        p.wave = Math.floor(rnd(3))
+        if (p.wave === 2 && chance(2)) p.wave = Math.floor(rnd(2))
+        p.baseFreq = 0.5 + rnd(0.5)
+        p.freqLimit = Math.max(p.baseFreq - 0.2 - rnd(0.6), 0.2)
+        p.freqRamp = -0.15 - rnd(0.2)
+        if (chance(3)) {
+          p.baseFreq = 0.3 + rnd(0.6)
+          p.freqLimit = rnd(0.1)
+          p.freqRamp = -0.35 - rnd(0.3)
+        }
+        if (chance(2)) {
+          p.duty = rnd(0.5)
+          p.dutyRamp = rnd(0.2)
+        } else {
+          p.duty = 0.4 + rnd(0.5)
+          p.dutyRamp = -rnd(0.7)
+        }
+        p.attack = 0
+        p.sustain = 0.1 + rnd(0.2)
+        p.decay = rnd(0.4)
+        if (chance(2)) p.punch = rnd(0.3)
+        if (chance(3)) {
+          p.phaserOffset = rnd(0.2)
+          p.phaserRamp = -rnd(0.2)
+        }
+        if (chance(2)) p.hpfFreq = rnd(0.3)
+        break
+
+      case "explosion":
+        p.wave = 3
+        if (chance(2)) {
+          p.baseFreq = 0.1 + rnd(0.4)
+          p.freqRamp = -0.1 + rnd(0.4)
+        } else {
+          p.baseFreq = 0.2 + rnd(0.7)
+          p.freqRamp = -0.2 - rnd(0.2)
+        }
+        p.baseFreq *= p.baseFreq
+        if (chance(5)) p.freqRamp = 0
+        if (chance(3)) p.repeatSpeed = 0.3 + rnd(0.5)
+        p.attack = 0
+        p.sustain = 0.1 + rnd(0.3)
+        p.decay = rnd(0.5)
+        if (chance(2)) {
+          p.phaserOffset = -0.3 + rnd(0.9)
+          p.phaserRamp = -rnd(0.3)
+        }
+        p.punch = 0.2 + rnd(0.6)
+        if (chance(2)) {
+          p.vibratoStrength = rnd(0.7)
+          p.vibratoSpeed = rnd(0.6)
+        }
+        if (chance(3)) {
+          p.arpSpeed = 0.6 + rnd(0.3)
+          p.arpMod = 0.8 - rnd(1.6)
+        }
+        break
+
+      case "powerup":
+        if (chance(2)) p.wave = 1
+        else p.duty = rnd(0.6)
+        p.baseFreq = 0.2 + rnd(0.3)
+        if (chance(2)) {
+          p.freqRamp = 0.1 + rnd(0.4)
+          p.repeatSpeed = 0.4 + rnd(0.4)
+        } else {
+          p.freqRamp = 0.05 + rnd(0.2)
+          if (chance(2)) {
+            p.vibratoStrength = rnd(0.7)
+            p.vibratoSpeed = rnd(0.6)
+          }
+        }
+        p.attack = 0
+        p.sustain = rnd(0.4)
+        p.decay = 0.1 + rnd(0.4)
+        break
+
+      case "hit":
+        p.wave = [0, 1, 3][Math.floor(rnd(3))]
+        if (p.wave === 0) p.duty = rnd(0.6)
+        p.baseFreq = 0.2 + rnd(0.6)
+        p.freqRamp = -0.3 - rnd(0.4)
+        p.attack = 0
+        p.sustain = rnd(0.1)
+        p.decay = 0.1 + rnd(0.2)
+        if (chance(2)) p.hpfFreq = rnd(0.3)
+        break
+
+      case "jump":
+        p.wave = 0
+        p.duty = rnd(0.6)
+        p.baseFreq = 0.3 + rnd(0.3)
+        p.freqRamp = 0.1 + rnd(0.2)
+        p.attack = 0
+        p.sustain = 0.1 + rnd(0.3)
+        p.decay = 0.1 + rnd(0.2)
+        if (chance(2)) p.hpfFreq = rnd(0.3)
+        if (chance(2)) p.lpfFreq = 1 - rnd(0.6)
+        break
+
+      case "blip":
+        p.wave = Math.floor(rnd(2))
+        if (p.wave === 0) p.duty = rnd(0.6)
+        p.baseFreq = 0.2 + rnd(0.4)
+        p.attack = 0
+        p.sustain = 0.1 + rnd(0.1)
+        p.decay = rnd(0.2)
+        p.hpfFreq = 0.1
+        break
+    }
+
+    return p
+  },
+
+  // Port of the sfxr synth loop: one sample per step, eight times
+  // supersampled, at AUDIO_SFX_SAMPLE_RATE
+  synthesizeSfx: function (p, random) {
+    const out = []
+    const maxSamples = AUDIO_SFX_SAMPLE_RATE * AUDIO_SFX_MAX_DURATION
+
+    let fperiod, fmaxperiod, fslide, fdslide, squareDuty, squareSlide
+    let arpMod, arpTime, arpLimit
+
+    // Called again on every repeat
+    const restart = () => {
+      fperiod = 100 / (p.baseFreq * p.baseFreq + 0.001)
+      fmaxperiod = 100 / (p.freqLimit * p.freqLimit + 0.001)
+      fslide = 1 - Math.pow(p.freqRamp, 3) * 0.01
+      fdslide = -Math.pow(p.freqDeltaRamp, 3) * 0.000001
+      squareDuty = 0.5 - p.duty * 0.5
+      squareSlide = -p.dutyRamp * 0.00005
+      arpMod =
+        p.arpMod >= 0
+          ? 1 - p.arpMod * p.arpMod * 0.9
+          : 1 + p.arpMod * p.arpMod * 10
+      arpTime = 0
+      arpLimit =
+        p.arpSpeed === 1
+          ? 0
+          : Math.floor(Math.pow(1 - p.arpSpeed, 2) * 20000 + 32)
+    }
+    restart()
+
+    let fltp = 0
+    let fltdp = 0
+    let fltw = Math.pow(p.lpfFreq, 3) * 0.1
+    const fltwD = 1 + p.lpfRamp * 0.0001
+    const fltdmp = Math.min(
+      (5 / (1 + p.lpfResonance * p.lpfResonance * 20)) * (0.01 + fltw),
+      0.8,
+    )
+    let fltphp = 0
+    let flthp = p.hpfFreq * p.hpfFreq * 0.1
+    const flthpD = 1 + p.hpfRamp * 0.0003
+
+    let vibPhase = 0
+    const vibSpeed = p.vibratoSpeed * p.vibratoSpeed * 0.01
+    const vibAmp = p.vibratoStrength * 0.5
+
+    let envVol = 0
+    let envStage = 0
+    let envTime = 0
+    const envLength = [p.attack, p.sustain, p.decay].map((v) =>
+      Math.max(Math.floor(v * v * 100000), 1),
+    )
+
+    let fphase = p.phaserOffset * p.phaserOffset * 1020
+    if (p.phaserOffset < 0) fphase = -fphase
+    let fdphase = p.phaserRamp * p.phaserRamp
+    if (p.phaserRamp < 0) fdphase = -fdphase
+    let iphase = Math.abs(Math.floor(fphase))
+    let ipp = 0
+    const phaserBuffer = new Float32Array(1024)
+
+    const noiseBuffer = new Float32Array(32)
+    const fillNoise = () => {
+      for (let i = 0; i < 32; i++) noiseBuffer[i] = random() * 2 - 1
+    }
+    fillNoise()
+
+    let repTime = 0
+    const repLimit =
+      p.repeatSpeed === 0
+        ? 0
+        : Math.floor(Math.pow(1 - p.repeatSpeed, 2) * 20000 + 32)
+
+    const wave = AUDIO_SFX_WAVES[p.wave] || "square"
+    let phase = 0
+
+    while (out.length < maxSamples) {
+      if (repLimit !== 0 && ++repTime >= repLimit) {
+        repTime = 0
+        restart()
+      }
+
+      if (arpLimit !== 0 && ++arpTime >= arpLimit) {
+        arpLimit = 0
+        fperiod *= arpMod
+      }
+
+      fslide += fdslide
+      fperiod *= fslide
+      if (fperiod > fmaxperiod) {
+        fperiod = fmaxperiod
+        if (p.freqLimit > 0) break
+      }
+
+      let rfperiod = fperiod
+      if (vibAmp > 0) {
+        vibPhase += vibSpeed
+        rfperiod = fperiod * (1 + Math.sin(vibPhase) * vibAmp)
+      }
+      const period = Math.max(Math.floor(rfperiod), 8)
+
+      squareDuty = Math.min(Math.max(squareDuty + squareSlide, 0), 0.5)
+
+      if (++envTime > envLength[envStage]) {
+        envTime = 0
+        if (++envStage === 3) break
+      }
+      const envProgress = envTime / envLength[envStage]
+      if (envStage === 0) envVol = envProgress
+      else if (envStage === 1) envVol = 1 + (1 - envProgress) * 2 * p.punch
+      else envVol = 1 - envProgress
+
+      fphase += fdphase
+      iphase = Math.min(Math.abs(Math.floor(fphase)), 1023)
+
+      if (flthpD !== 0) {
+        flthp = Math.min(Math.max(flthp * flthpD, 0.00001), 0.1)
+      }
+
+      let ssample = 0
+      for (let si = 0; si < 8; si++) {
+        phase++
+        if (phase >= period) {
+          phase %= period
+          if (wave === "noise") fillNoise()
+        }
+
+        const fp = phase / period
+        let sample
+        switch (wave) {
+          case "square":
+            sample = fp < squareDuty ? 0.5 : -0.5
+            break
+          case "sawtooth":
+            sample = 1 - fp * 2
+            break
+          case "sine":
+            sample = Math.sin(fp * 2 * Math.PI)
+            break
+          case "noise":
+            sample = noiseBuffer[Math.floor((phase * 32) / period)]
+            break
+        }
+
+        // Low-pass, then high-pass
+        const pp = fltp
+        fltw = Math.min(Math.max(fltw * fltwD, 0), 0.1)
+        if (p.lpfFreq !== 1) {
+          fltdp += (sample - fltp) * fltw
+          fltdp -= fltdp * fltdmp
+        } else {
+          fltp = sample
+          fltdp = 0
+        }
+        fltp += fltdp
+        fltphp += fltp - pp
+        fltphp -= fltphp * flthp
+        sample = fltphp
+
+        // Phaser
+        phaserBuffer[ipp & 1023] = sample
+        sample += phaserBuffer[(ipp - iphase + 1024) & 1023]
+        ipp = (ipp + 1) & 1023
+
+        ssample += sample * envVol
+      }
+
+      ssample = (ssample / 8) * 0.05 * 2 * p.volume
+      out.push(Math.min(Math.max(ssample, -1), 1))
+    }
+
+    return Float32Array.from(out)
+  },
+
+  // ==========================================
+  // AUDIO SPRITES
+  // ==========================================
+
+  // A region is a source handle of its own covering `duration` seconds of
+  // its parent from `offset`, so it plays, loops and reports time like any
+  // other source. The parent may still be decoding. Streamed sources can't
+  // have regions. Plays of a `loop` region always loop.
+  createAudioRegion: function (sourceHandle, offset, duration, name, loop) {
+    if (this.regions.has(sourceHandle)) return 0
+
+    if (!Number.isFinite(offset) || !Number.isFinite(duration)) {
+      console.error("Audio region offset and duration must be numbers")
+      return 0
+    }
+
+    const parent = this.sources.get(sourceHandle)
+    if (parent && parent.stream) {
+      console.error("Audio regions need a decoded source, not a stream")
+      return 0
+    }
+
+    const handle = this.nextSourceHandle++
+    this.regions.set(handle, {
+      parentHandle: sourceHandle,
+      name: name || "",
+      offset: Math.max(offset, 0),
+      duration: Math.max(duration, 0),
+      loop: !!loop,
+      loopStart: 0,
+      loopEnd: 0,
+    })
+    return handle
+  },
+
+  getAudioRegion: function (sourceHandle, name) {
+    for (const [handle, region] of this.regions) {
+      if (region.parentHandle === sourceHandle && region.name === name) {
+        return handle
+      }
+    }
+    return 0
+  },
+
+  // Create named regions from a sprite map, in either howler's format
+  // ({ sprite: { name: [offsetMs, durationMs, loop] } }) or audiosprite's
+  // ({ spritemap: { name: { start, end, loop } } }, in seconds).
+  // Returns the number of regions created.
+  loadAudioSpriteMap: function (sourceHandle, json) {
+    let map
+    try {
+      map = JSON.parse(json)
+    } catch (e) {
+      console.error("Failed to parse audio sprite map:", e)
+      return 0
+    }
+
+    if (!map || typeof map !== "object") {
+      console.error("Audio sprite map must be a JSON object")
+      return 0
+    }
+
+    // Only regions that were actually created count
+    let count = 0
+    if (map.sprite && typeof map.sprite === "object") {
+      for (const name in map.sprite) {
+        const entry = map.sprite[name]
+        if (!Array.isArray(entry)) continue
+        const [offset, duration, loop] = entry
+        const handle = this.createAudioRegion(
+          sourceHandle,
+          offset / 1000,
+          duration / 1000,
+          name,
+          loop,
+        )
+        if (handle) count++
+      }
+    }
+    if (map.spritemap && typeof map.spritemap === "object") {
+      for (const name in map.spritemap) {
+        const entry = map.spritemap[name]
+        if (!entry || typeof entry !== "object") continue
+        const handle = this.createAudioRegion(
+          sourceHandle,
+          entry.start,
+          entry.end - entry.start,
+          name,
+          entry.loop,
+        )
+        if (handle) count++
+      }
+    }
+    return count
+  },
+
+  // ==========================================
+  // PLAYBACK
+  // ==========================================
+
+  playAudio: function (
+    sourceHandle,
+    busHandle,
+    volume,
+    pan,
+    pitch,
+    loop,
+    delay,
+    isSpatial,
+    posX,
+    posY,
+    minDistance,
+    maxDistance,
+    hasCallback,
+    fadeIn,
+    loopStart,
+    loopEnd,
+    startAt,
+    posZ,
+    distanceModel,
+    rolloffFactor,
+    panningModel,
+  ) {
+    if (!this.initialized) return 0
+
+    const source = this.getSource(sourceHandle)
+    if (!source) {
+      // Nothing to wait for if the source failed or doesn't exist
+      if (this.getAudioLoadState(sourceHandle) !== AUDIO_LOAD_STATE.LOADING) {
+        return 0
+      }
+
+      // Source not ready yet (still decoding) - queue the play request
+      const handle = this.nextInstanceHandle++
+      this.pendingPlays.push({
+        handle,
+        sourceHandle,
+        busHandle,
+        volume,
+        pan,
+        pitch,
+        loop,
+        delay,
+        isSpatial,
+        posX,
+        posY,
+        minDistance,
+        maxDistance,
+        hasCallback,
+        fadeIn,
+        loopStart,
+        loopEnd,
+        startAt,
+        posZ,
+        distanceModel,
+        rolloffFactor,
+        panningModel,
+      })
+      return handle
+    }
+
+    // Resume context if suspended
+    if (this.audioContext.state === "suspended") {
+      this.audioContext.resume()
+    }
+
+    // Source is ready, play immediately
+    const handle = this.nextInstanceHandle++
+    this.playAudioInternal(
+      {
+        handle,
+        sourceHandle,
+        busHandle,
+        volume,
+        pan,
+        pitch,
+        loop,
+        delay,
+        isSpatial,
+        posX,
+        posY,
+        minDistance,
+        maxDistance,
+        hasCallback,
+        fadeIn,
+        loopStart,
+        loopEnd,
+        startAt,
+        posZ,
+        distanceModel,
+        rolloffFactor,
+        panningModel,
+      },
+      source,
+    )
+    return handle
+  },
+
+  stopInstance: function (instance) {
+    if (!instance || instance.stopped) return
+
+    instance.stopped = true
+    this.stopInstanceSource(instance)
+
+    if (instance.fadeTimer) {
+      clearTimeout(instance.fadeTimer)
+      instance.fadeTimer = null
+    }
+
+    // Release the stream so the element stops buffering
+    if (instance.mediaElement) {
+      instance.mediaElement.removeAttribute("src")
+      instance.mediaElement.load()
+    }
+
+    // Disconnect nodes
+    try {
+      if (instance.sourceNode) instance.sourceNode.disconnect()
+      instance.gainNode.disconnect()
+      if (instance.pannerNode) instance.pannerNode.disconnect()
+      if (instance.spatialPanner) instance.spatialPanner.disconnect()
+      if (instance.occlusionFilter) instance.occlusionFilter.disconnect()
+      if (instance.occlusionGain) instance.occlusionGain.disconnect()
+    } catch (e) {
+      // Ignore disconnect errors
+    }
+
+    this.destroyInstanceAnalysers(instance)
+  },
+
+  stopAudio: function (instanceHandle) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) {
+      // Still waiting on its source: drop the play
+      this.pendingPlays = this.pendingPlays.filter(
+        (p) => p.handle !== instanceHandle,
+      )
+      return
+    }
+
+    this.stopInstance(instance)
+    this.instances.delete(instanceHandle)
+  },
+
+  pauseAudio: function (instanceHandle) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) {
+      // Still waiting on its source: it starts paused once it loads
+      const pending = this.pendingPlays.find((p) => p.handle === instanceHandle)
+      if (pending) pending.paused = true
+      return
+    }
+    if (instance.paused || instance.stopped) return
+
+    // Web Audio doesn't have native pause, so we stop and record position
+    instance.pauseTime = Math.max(0, this.getAudioTime(instanceHandle))
+    instance.paused = true
+
+    this.stopInstanceSource(instance)
+  },
+
+  resumeAudio: function (instanceHandle) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) {
+      const pending = this.pendingPlays.find((p) => p.handle === instanceHandle)
+      if (pending) pending.paused = false
+      return
+    }
+    if (!instance.paused || instance.stopped) return
+
+    const source = this.getSource(instance.sourceHandle)
+    if (!source) return
+
+    // Create new source node and resume from pause position
+    instance.paused = false
+    this.startInstanceSource(
+      instanceHandle,
+      instance,
+      source,
+      this.audioContext.currentTime,
+      instance.pauseTime,
+    )
+  },
+
+  stopAllAudio: function (busHandle) {
+    for (const [handle, instance] of this.instances) {
+      // If busHandle is 0, stop all. Otherwise filter by bus
+      if (busHandle === 0 || instance.busHandle === busHandle) {
+        this.stopInstance(instance)
+        this.instances.delete(handle)
+      }
+    }
+  },
+
+  // ==========================================
+  // LIVE CONTROL
+  // ==========================================
+
+  setAudioVolume: function (instanceHandle, volume) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return
+
+    // A direct set cancels any fade in progress, and a voice steal with it
+    if (instance.fadeTimer) {
+      clearTimeout(instance.fadeTimer)
+      instance.fadeTimer = null
+    }
+    instance.stolen = false
+
+    instance.volume = volume
+    this.rampParam(instance.gainNode.gain, volume, 0)
+  },
+
+  // Fade an instance's volume to `target` over `seconds`. Optionally stops the
+  // instance at the end, and/or queues its handle on finishedCallbacks.
+  fadeAudio: function (instanceHandle, target, seconds, curve, stop, notify) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance || instance.stopped) return
+
+    // Any fade replaces a voice steal in progress; stealVoice marks its own
+    if (instance.fadeTimer) {
+      clearTimeout(instance.fadeTimer)
+    }
+    instance.stolen = false
+
+    instance.volume = target
+    this.rampParam(instance.gainNode.gain, target, seconds, curve)
+
+    // The mixer may have been swapped for an offline render by the time
+    // this fires, so hold on to the one the instance belongs to
+    const instances = this.instances
+    const finishedCallbacks = this.finishedCallbacks
+    instance.fadeTimer = setTimeout(
+      () => {
+        instance.fadeTimer = null
+        // Ended or stopped during the fade, and already reported
+        if (instances.get(instanceHandle) !== instance) return
+        if (instance.stolen) {
+          this.emitAudioEvent(AUDIO_EVENT.INSTANCE_STOLEN, instanceHandle)
+        }
+        if (notify) {
+          finishedCallbacks.push(instanceHandle)
+        }
+        if (stop) {
+          this.stopInstance(instance)
+          instances.delete(instanceHandle)
+        }
+      },
+      Math.max(seconds, 0) * 1000,
+    )
+  },
+
+  fadeStopAudio: function (instanceHandle, seconds, curve, notify) {
+    this.fadeAudio(instanceHandle, 0, seconds, curve, true, notify)
+  },
+
+  setAudioPan: function (instanceHandle, pan) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance || !instance.pannerNode) return
+
+    instance.pannerNode.pan.value = pan
+  },
+
+  setAudioPitch: function (instanceHandle, pitch) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return
+
+    instance.pitch = pitch
+    this.applyPlaybackRate(instance, false)
+  },
+
+  setAudioLooping: function (instanceHandle, loop) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return
+
+    const changed = !!instance.loop !== !!loop
+    const position = this.getAudioTime(instanceHandle)
+    instance.loop = loop
+    this.applyLoopRegion(instance, instance.sourceNode)
+
+    // A sprite region's slice end is fixed when its node starts, so carry on
+    // from here on a new node
+    if (changed && instance.region && !instance.paused && !instance.stopped) {
+      this.setAudioTime(instanceHandle, position)
+    }
+  },
+
+  // Loop region for a playing instance; 0, 0 loops the whole source
+  setAudioLoopPoints: function (instanceHandle, loopStart, loopEnd) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return
+
+    instance.loopStart = Math.max(loopStart, 0)
+    instance.loopEnd = Math.max(loopEnd, 0)
+    this.applyLoopRegion(instance, instance.sourceNode)
+  },
+
+  setAudioPosition: function (instanceHandle, x, y) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance || !instance.spatialPanner) return
+
+    instance.posX = x
+    instance.posY = y
+    this.setPannerPosition(instance.spatialPanner, x, y, instance.posZ)
+    this.updateDoppler(instance)
+  },
+
+  setAudioPosition3D: function (instanceHandle, x, y, z) {
+    this.updateSpatial(instanceHandle, { x, y, z })
+  },
+
+  setAudioDistanceModel: function (
+    instanceHandle,
+    model,
+    minDistance,
+    maxDistance,
+    rolloffFactor,
+  ) {
+    this.updateSpatial(instanceHandle, {
+      distanceModel: model,
+      minDistance,
+      maxDistance,
+      rolloffFactor,
+    })
+  },
+
+  setAudioPanningModel: function (instanceHandle, model) {
+    this.updateSpatial(instanceHandle, { panningModel: model })
+  },
+
+  // Directional emitter: full volume inside `innerAngle` degrees, fading to
+  // `outerGain` at `outerAngle`. Points along the orientation vector.
+  setAudioCone: function (instanceHandle, innerAngle, outerAngle, outerGain) {
+    this.updateSpatial(instanceHandle, {
+      coneInnerAngle: innerAngle,
+      coneOuterAngle: outerAngle,
+      coneOuterGain: outerGain,
+    })
+  },
+
+  setAudioOrientation: function (instanceHandle, x, y, z) {
+    this.updateSpatial(instanceHandle, {
+      orientationX: x,
+      orientationY: y,
+      orientationZ: z,
+    })
+  },
+
+  // Apply spatial settings to an instance, or hold them for a play still
+  // waiting on its source
+  updateSpatial: function (instanceHandle, settings) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) {
+      const pending = this.pendingPlays.find((p) => p.handle === instanceHandle)
+      if (pending)
+        pending.spatial = Object.assign(pending.spatial || {}, settings)
+      return
+    }
+
+    if (!instance.spatialPanner) return
+    this.applySpatialSettings(instance, settings)
+  },
+
+  applySpatialSettings: function (instance, settings) {
+    const panner = instance.spatialPanner
+
+    if ("x" in settings) {
+      instance.posX = settings.x
+      instance.posY = settings.y
+      instance.posZ = settings.z
+      this.setPannerPosition(panner, settings.x, settings.y, settings.z)
+    }
+
+    if ("velocityX" in settings) {
+      instance.velX = settings.velocityX
+      instance.velY = settings.velocityY
+      instance.velZ = settings.velocityZ
+    }
+
+    if ("x" in settings || "velocityX" in settings) {
+      this.updateDoppler(instance)
+    }
+
+    if ("distanceModel" in settings) {
+      instance.distanceModel = settings.distanceModel
+      instance.minDistance = settings.minDistance
+      instance.maxDistance = settings.maxDistance
+      instance.rolloffFactor = settings.rolloffFactor
+      panner.distanceModel =
+        AUDIO_DISTANCE_MODELS[settings.distanceModel] || "linear"
+      panner.refDistance = settings.minDistance
+      panner.maxDistance = settings.maxDistance
+      panner.rolloffFactor = settings.rolloffFactor
+    }
+
+    if ("panningModel" in settings) {
+      panner.panningModel =
+        AUDIO_PANNING_MODELS[settings.panningModel] || "HRTF"
+    }
+
+    if ("coneInnerAngle" in settings) {
+      panner.coneInnerAngle = settings.coneInnerAngle
+      panner.coneOuterAngle = settings.coneOuterAngle
+      panner.coneOuterGain = settings.coneOuterGain
+    }
+
+    if ("orientationX" in settings) {
+      const { orientationX: x, orientationY: y, orientationZ: z } = settings
+      if (panner.orientationX) {
+        panner.orientationX.value = x
+        panner.orientationY.value = y
+        panner.orientationZ.value = z
+      } else {
+        panner.setOrientation(x, y, z)
+      }
+    }
+
+    if ("occlusion" in settings) {
+      this.applyOcclusion(instance, settings.occlusion)
+    }
+  },
+
+  // 0 = clear line of sight, 1 = fully behind a wall. Muffles and quietens
+  // the sound, gliding to the new amount so per-frame raycasts don't click.
+  setAudioOcclusion: function (instanceHandle, amount) {
+    this.updateSpatial(instanceHandle, {
+      occlusion: Math.min(Math.max(amount, 0), 1),
+    })
+  },
+
+  getAudioOcclusion: function (instanceHandle) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return 0
+    return instance.occlusion || 0
+  },
+
+  setAudioOcclusionParams: function (cutoff, gain, smoothing) {
+    this.occlusionCutoff = cutoff
+    this.occlusionGain = gain
+    this.occlusionSmoothing = smoothing
+  },
+
+  // Occlusion nodes are only added the first time an instance is occluded:
+  // source -> low-pass -> gain -> panner
+  applyOcclusion: function (instance, amount) {
+    instance.occlusion = amount
+
+    if (!instance.occlusionFilter) {
+      if (amount === 0) return
+
+      const filter = this.audioContext.createBiquadFilter()
+      filter.type = "lowpass"
+      filter.frequency.value = 20000
+      const gain = this.audioContext.createGain()
+      filter.connect(gain)
+      gain.connect(instance.spatialPanner)
+
+      instance.occlusionFilter = filter
+      instance.occlusionGain = gain
+      instance.inputNode = filter
+      if (instance.sourceNode) {
+        instance.sourceNode.disconnect(instance.spatialPanner)
+        instance.sourceNode.connect(filter)
+      }
+    }
+
+    // Sweep the cutoff logarithmically, it sounds more even
+    const cutoff = 20000 * Math.pow(this.occlusionCutoff / 20000, amount)
+    const gain = 1 - amount * (1 - this.occlusionGain)
+    const now = this.audioContext.currentTime
+    const smoothing = Math.max(this.occlusionSmoothing, 0.001)
+
+    const frequency = instance.occlusionFilter.frequency
+    frequency.cancelScheduledValues(now)
+    frequency.setTargetAtTime(cutoff, now, smoothing)
+    instance.occlusionGain.gain.cancelScheduledValues(now)
+    instance.occlusionGain.gain.setTargetAtTime(gain, now, smoothing)
+  },
+
+  // World units per second; drives the Doppler pitch shift
+  setAudioVelocity: function (instanceHandle, x, y, z) {
+    this.updateSpatial(instanceHandle, {
+      velocityX: x,
+      velocityY: y,
+      velocityZ: z,
+    })
+  },
+
+  // Doppler shift as in OpenAL: f' = f * (c - DF * vL) / (c - DF * vS), with
+  // vL and vS the listener and source velocities along the line from source
+  // to listener. Layered on top of the instance's own pitch.
+  updateDoppler: function (instance) {
+    if (!instance.spatialPanner || instance.stopped) return
+
+    const bus = this.buses.get(instance.busHandle)
+    const factor = this.dopplerFactor * (bus ? bus.dopplerFactor : 1)
+    const c = this.speedOfSound
+
+    let shift = 1
+    const dx = this.listenerX - instance.posX
+    const dy = this.listenerY - instance.posY
+    const dz = this.listenerZ - instance.posZ
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz)
+
+    if (factor > 0 && c > 0 && distance > 0) {
+      const listenerSpeed =
+        (dx * this.listenerVelX +
+          dy * this.listenerVelY +
+          dz * this.listenerVelZ) /
+        distance
+      const sourceSpeed =
+        (dx * (instance.velX || 0) +
+          dy * (instance.velY || 0) +
+          dz * (instance.velZ || 0)) /
+        distance
+
+      // Clamp so nothing passes the speed of sound
+      const limit = (c / factor) * 0.99
+      const vl = Math.min(listenerSpeed, limit)
+      const vs = Math.min(sourceSpeed, limit)
+      shift = (c - factor * vl) / (c - factor * vs)
+    }
+
+    if (Math.abs(shift - instance.dopplerShift) < 0.0001) return
+    instance.dopplerShift = shift
+    this.applyPlaybackRate(instance, true)
+  },
+
+  updateAllDoppler: function () {
+    for (const [handle, instance] of this.instances) {
+      this.updateDoppler(instance)
+    }
+  },
+
+  setAudioDopplerFactor: function (factor) {
+    this.dopplerFactor = Math.max(factor, 0)
+    this.updateAllDoppler()
+  },
+
+  setAudioBusDopplerFactor: function (busHandle, factor) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return
+
+    bus.dopplerFactor = Math.max(factor, 0)
+    this.updateAllDoppler()
+  },
+
+  setAudioSpeedOfSound: function (speed) {
+    this.speedOfSound = speed
+    this.updateAllDoppler()
+  },
+
+  // Pitch times Doppler shift. Doppler changes glide to avoid zipper noise.
+  applyPlaybackRate: function (instance, smooth) {
+    const rate = instance.pitch * instance.dopplerShift
+
+    if (instance.mediaElement) {
+      instance.mediaElement.playbackRate = rate
+      return
+    }
+    if (!instance.sourceNode) return
+
+    const param = instance.sourceNode.playbackRate
+    if (smooth) {
+      const now = this.audioContext.currentTime
+      param.cancelScheduledValues(now)
+      param.setTargetAtTime(rate, now, 0.03)
+    } else {
+      this.rampParam(param, rate, 0)
+    }
+  },
+
+  setPannerPosition: function (panner, x, y, z) {
+    if (panner.positionX) {
+      panner.positionX.value = x
+      panner.positionY.value = y
+      panner.positionZ.value = z
+    } else {
+      panner.setPosition(x, y, z)
+    }
+  },
+
+  // Seek an instance. Plays still waiting on their source start from the
+  // new position once it's ready.
+  setAudioTime: function (instanceHandle, seconds) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) {
+      const pending = this.pendingPlays.find((p) => p.handle === instanceHandle)
+      if (pending) pending.offset = Math.max(seconds, 0)
+      return
+    }
+    if (instance.stopped) return
+
+    const source = this.getSource(instance.sourceHandle)
+    if (!source) return
+
+    const offset = this.wrapAudioTime(instance, source, Math.max(seconds, 0))
+
+    // Jumping back isn't a loop
+    instance.lastPosition = offset
+
+    if (instance.paused) {
+      instance.pauseTime = offset
+      return
+    }
+
+    // Replace the source node; a play still waiting on its delay keeps its
+    // original start time
+    const now = this.audioContext.currentTime
+    const when = Math.max(now, instance.startTime)
+    this.stopInstanceSource(instance)
+    this.startInstanceSource(instanceHandle, instance, source, when, offset)
+  },
+
+  // ==========================================
+  // QUERIES
+  // ==========================================
+
+  isAudioPlaying: function (instanceHandle) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return false
+    return !instance.paused && !instance.stopped
+  },
+
+  isAudioPaused: function (instanceHandle) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return false
+    return instance.paused
+  },
+
+  getAudioTime: function (instanceHandle) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return 0
+
+    if (instance.paused) {
+      return instance.pauseTime
+    }
+
+    if (instance.stopped) {
+      return 0
+    }
+
+    // Media elements track their own position, including loop wrap-around
+    if (instance.mediaElement) {
+      return instance.mediaElement.currentTime
+    }
+
+    const elapsed = this.audioContext.currentTime - instance.startTime
+    const source = this.getSource(instance.sourceHandle)
+    if (!source) return elapsed
+    return this.wrapAudioTime(instance, source, elapsed)
+  },
+
+  // Current time of the audio clock, in seconds. Use it as the base for
+  // startAt so sounds land exactly where they're scheduled.
+  getAudioClock: function () {
+    if (!this.initialized) return 0
+    return this.audioContext.currentTime
+  },
+
+  // Seconds between the audio clock and the speakers, for syncing visuals
+  getAudioOutputLatency: function () {
+    if (!this.initialized) return 0
+    const ctx = this.audioContext
+    return (ctx.baseLatency || 0) + (ctx.outputLatency || 0)
+  },
+
+  // ==========================================
+  // BUSES
+  // ==========================================
+
+  // Buses feed their parent bus (master if none), so volume and mute
+  // cascade down the tree through the audio graph itself
+  createAudioBus: function (parentHandle) {
+    if (!this.initialized) return 0
+
+    if (!this.buses.has(parentHandle)) parentHandle = 1
+
+    const handle = this.nextBusHandle++
+
+    // Instances feed the input node; effects sit between it and the fader
+    const inputNode = this.audioContext.createGain()
+    const gainNode = this.audioContext.createGain()
+    inputNode.connect(gainNode)
+    gainNode.connect(this.buses.get(parentHandle).inputNode)
+
+    this.buses.set(handle, {
+      inputNode: inputNode,
+      gainNode: gainNode,
+      parentHandle: parentHandle,
+      dopplerFactor: 1.0,
+      maxVoices: 0,
+      voiceStealPolicy: 0,
+      volume: 1.0,
+      muted: false,
+      effects: [],
+      duckDb: 0,
+      duckRelease: 0,
+    })
+
+    return handle
+  },
+
+  // Child buses and instances are re-homed onto the destroyed bus's parent,
+  // or stopped and destroyed along with it if `stopChildren` is set
+  destroyAudioBus: function (busHandle, stopChildren) {
+    if (busHandle <= 1) return // Can't destroy main bus
+
+    const bus = this.buses.get(busHandle)
+    if (!bus) return
+
+    for (const [childHandle, child] of this.buses) {
+      if (child.parentHandle !== busHandle) continue
+      if (stopChildren) {
+        this.destroyAudioBus(childHandle, true)
+      } else {
+        this.setAudioBusParent(childHandle, bus.parentHandle)
+      }
+    }
+
+    for (const [handle, instance] of this.instances) {
+      if (instance.busHandle !== busHandle) continue
+      if (stopChildren) {
+        this.stopInstance(instance)
+        this.instances.delete(handle)
+      } else {
+        this.routeInstance(instance, bus.parentHandle)
+      }
+    }
+
+    for (const [handle, rule] of this.duckRules) {
+      if (rule.triggerBus === busHandle || rule.targetBus === busHandle) {
+        this.removeAudioDuckRule(handle)
+      }
+    }
+
+    for (const [name, binding] of this.settings.bindings) {
+      if (binding.busHandle === busHandle) this.settings.bindings.delete(name)
+    }
+
+    if (this.microphone.busHandle === busHandle) {
+      this.setMicrophoneBus(stopChildren ? 0 : bus.parentHandle)
+    }
+
+    // Keep what was recorded up to now
+    for (const [handle, recording] of this.recordings) {
+      if (recording.busHandle === busHandle) this.stopAudioRecording(handle)
+    }
+
+    for (const [handle, stream] of this.streams) {
+      if (stream.busHandle !== busHandle) continue
+      if (stopChildren) {
+        this.destroyAudioStream(handle)
+      } else {
+        this.routeStream(stream, bus.parentHandle)
+      }
+    }
+
+    for (const effectHandle of bus.effects) {
+      this.disconnectEffect(this.effects.get(effectHandle))
+      this.effects.delete(effectHandle)
+    }
+
+    bus.inputNode.disconnect()
+    bus.gainNode.disconnect()
+    this.buses.delete(busHandle)
+  },
+
+  setAudioBusParent: function (busHandle, parentHandle) {
+    if (busHandle <= 1) return // Main bus is always the root
+
+    const bus = this.buses.get(busHandle)
+    const parent = this.buses.get(parentHandle)
+    if (!bus || !parent) return
+
+    // Refuse to create a cycle
+    if (this.isAudioBusDescendant(parentHandle, busHandle)) return
+
+    bus.gainNode.disconnect(this.buses.get(bus.parentHandle).inputNode)
+    bus.gainNode.connect(parent.inputNode)
+    bus.parentHandle = parentHandle
+  },
+
+  getAudioBusParent: function (busHandle) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return 0
+    return bus.parentHandle
+  },
+
+  // True if `busHandle` is `ancestorHandle` or sits anywhere below it
+  isAudioBusDescendant: function (busHandle, ancestorHandle) {
+    let handle = busHandle
+    while (handle) {
+      if (handle === ancestorHandle) return true
+      const bus = this.buses.get(handle)
+      handle = bus ? bus.parentHandle : 0
+    }
+    return false
+  },
+
+  // Volume actually reaching the output, after every parent's fader and mute
+  getAudioBusEffectiveVolume: function (busHandle) {
+    let volume = 1.0
+    let bus = this.buses.get(busHandle)
+    while (bus) {
+      volume *= bus.muted ? 0 : bus.volume
+      bus = this.buses.get(bus.parentHandle)
+    }
+    return volume
+  },
+
+  isAudioBusEffectivelyMuted: function (busHandle) {
+    let bus = this.buses.get(busHandle)
+    while (bus) {
+      if (bus.muted) return true
+      bus = this.buses.get(bus.parentHandle)
+    }
+    return false
+  },
+
+  // Move a playing instance's output onto another bus
+  routeInstance: function (instance, busHandle) {
+    const bus = this.buses.get(busHandle) || this.buses.get(1)
+    instance.gainNode.disconnect(instance.outputNode)
+    instance.gainNode.connect(bus.inputNode)
+    instance.outputNode = bus.inputNode
+    instance.busHandle = busHandle
+  },
+
+  setAudioBusVolume: function (busHandle, volume) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return
+
+    bus.volume = volume
+    if (!bus.muted) {
+      this.rampParam(bus.gainNode.gain, volume, 0)
+    }
+    this.setSnapshotBase(`bus/${busHandle}/volume`, volume)
+    this.recordAudioSetting(busHandle, "volume", volume)
+  },
+
+  // A muted bus just records the new volume and unmutes to it
+  fadeAudioBus: function (busHandle, target, seconds, curve) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return
+
+    bus.volume = target
+    if (!bus.muted) {
+      this.rampParam(bus.gainNode.gain, target, seconds, curve)
+    }
+  },
+
+  getAudioBusVolume: function (busHandle) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return 1.0
+    return bus.volume
+  },
+
+  setAudioBusMuted: function (busHandle, muted) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return
+
+    bus.muted = muted
+    this.rampParam(bus.gainNode.gain, muted ? 0 : bus.volume, 0)
+    this.setSnapshotBase(`bus/${busHandle}/muted`, muted)
+    this.recordAudioSetting(busHandle, "muted", muted)
+  },
+
+  isAudioBusMuted: function (busHandle) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return false
+    return bus.muted
+  },
+
+  // ==========================================
+  // BUS EFFECTS
+  // ==========================================
+
+  // Insert an effect into a bus chain at `index` (appended if out of range).
+  // Every effect is wrapped in input/output gains with a dry and wet path,
+  // so bypass and mix are just gain changes and never rewire the graph.
+  addAudioBusEffect: function (busHandle, type, index) {
+    if (!this.initialized) return 0
+
+    const bus = this.buses.get(busHandle)
+    const typeName = AUDIO_EFFECT_TYPES[type]
+    if (!bus || !typeName) return 0
+
+    const ctx = this.audioContext
+    const effect = {
+      busHandle: busHandle,
+      type: typeName,
+      inputNode: ctx.createGain(),
+      outputNode: ctx.createGain(),
+      dryGain: ctx.createGain(),
+      wetGain: ctx.createGain(),
+      node: null,
+      feedbackGain: null,
+      mix: 1.0,
+      bypassed: false,
+      reverbDuration: 2.0,
+      reverbDecay: 2.0,
+    }
+
+    switch (typeName) {
+      case "delay":
+        effect.node = ctx.createDelay(5.0)
+        effect.node.delayTime.value = 0.25
+        effect.feedbackGain = ctx.createGain()
+        effect.feedbackGain.gain.value = 0.4
+        effect.node.connect(effect.feedbackGain)
+        effect.feedbackGain.connect(effect.node)
+        effect.mix = 0.35
+        break
+      case "reverb":
+        effect.node = ctx.createConvolver()
+        effect.node.buffer = this.createReverbImpulse(
+          effect.reverbDuration,
+          effect.reverbDecay,
+        )
+        effect.mix = 0.35
+        break
+      case "compressor":
+        effect.node = ctx.createDynamicsCompressor()
+        break
+      default:
+        effect.node = ctx.createBiquadFilter()
+        effect.node.type = typeName
+        break
+    }
+
+    effect.inputNode.connect(effect.dryGain)
+    effect.inputNode.connect(effect.node)
+    effect.node.connect(effect.wetGain)
+    effect.dryGain.connect(effect.outputNode)
+    effect.wetGain.connect(effect.outputNode)
+    this.applyEffectMix(effect)
+
+    const handle = this.nextEffectHandle++
+    this.effects.set(handle, effect)
+
+    if (index < 0 || index >= bus.effects.length) {
+      bus.effects.push(handle)
+    } else {
+      bus.effects.splice(index, 0, handle)
+    }
+    this.rebuildBusChain(bus)
+
+    return handle
+  },
+
+  removeAudioBusEffect: function (effectHandle) {
+    const effect = this.effects.get(effectHandle)
+    if (!effect) return
+
+    const bus = this.buses.get(effect.busHandle)
+    if (bus) {
+      bus.effects = bus.effects.filter((h) => h !== effectHandle)
+      this.rebuildBusChain(bus)
+    }
+
+    this.disconnectEffect(effect)
+    this.effects.delete(effectHandle)
+  },
+
+  setAudioBusEffectBypassed: function (effectHandle, bypassed) {
+    const effect = this.effects.get(effectHandle)
+    if (!effect) return
+
+    effect.bypassed = bypassed
+    this.applyEffectMix(effect)
+    this.setSnapshotBase(`effect/${effectHandle}/bypassed`, bypassed)
+  },
+
+  isAudioBusEffectBypassed: function (effectHandle) {
+    const effect = this.effects.get(effectHandle)
+    if (!effect) return false
+    return effect.bypassed
+  },
+
+  // Set an effect parameter, ramping over `rampTime` seconds if non-zero
+  setAudioBusEffectParam: function (effectHandle, param, value, rampTime) {
+    this.applyEffectParam(effectHandle, param, value, rampTime)
+    this.setSnapshotBase(`effect/${effectHandle}/${param}`, value)
+  },
+
+  applyEffectParam: function (effectHandle, param, value, rampTime) {
+    const effect = this.effects.get(effectHandle)
+    const paramName = AUDIO_EFFECT_PARAMS[param]
+    if (!effect || !paramName) return
+
+    switch (paramName) {
+      case "mix":
+        effect.mix = Math.min(Math.max(value, 0), 1)
+        this.applyEffectMix(effect, rampTime)
+        return
+      case "feedback":
+        if (effect.feedbackGain) {
+          this.rampParam(effect.feedbackGain.gain, value, rampTime)
+        }
+        return
+      case "duration":
+      case "decay":
+        // Reverb tails are baked into the impulse, so regenerate it
+        if (effect.type !== "reverb") return
+        if (paramName === "duration") effect.reverbDuration = value
+        if (paramName === "decay") effect.reverbDecay = value
+        effect.node.buffer = this.createReverbImpulse(
+          effect.reverbDuration,
+          effect.reverbDecay,
+        )
+        return
+    }
+
+    const audioParam = effect.node[paramName]
+    if (audioParam instanceof AudioParam) {
+      this.rampParam(audioParam, value, rampTime)
+    }
+  },
+
+  getAudioBusEffectParam: function (effectHandle, param) {
+    const effect = this.effects.get(effectHandle)
+    const paramName = AUDIO_EFFECT_PARAMS[param]
+    if (!effect || !paramName) return 0
+
+    switch (paramName) {
+      case "mix":
+        return effect.mix
+      case "feedback":
+        return effect.feedbackGain ? effect.feedbackGain.gain.value : 0
+      case "duration":
+        return effect.reverbDuration
+      case "decay":
+        return effect.reverbDecay
+    }
+
+    const audioParam = effect.node[paramName]
+    return audioParam instanceof AudioParam ? audioParam.value : 0
+  },
+
+  // Replace a reverb's generated impulse with a recorded one
+  setAudioBusEffectImpulse: async function (effectHandle, arrayBuffer) {
+    const effect = this.effects.get(effectHandle)
+    if (!effect || effect.type !== "reverb") return
+
+    try {
+      const buffer = await this.audioContext.decodeAudioData(arrayBuffer)
+      effect.node.buffer = buffer
+    } catch (e) {
+      console.error("Failed to decode reverb impulse:", e)
+    }
+  },
+
+  // Rewire input -> effects... -> fader in the bus's current effect order
+  rebuildBusChain: function (bus) {
+    bus.inputNode.disconnect()
+
+    let lastNode = bus.inputNode
+    for (const effectHandle of bus.effects) {
+      const effect = this.effects.get(effectHandle)
+      effect.outputNode.disconnect()
+      lastNode.connect(effect.inputNode)
+      lastNode = effect.outputNode
+    }
+    lastNode.connect(bus.gainNode)
+  },
+
+  applyEffectMix: function (effect, rampTime) {
+    const wet = effect.bypassed ? 0 : effect.mix
+    this.rampParam(effect.wetGain.gain, wet, rampTime)
+    this.rampParam(effect.dryGain.gain, 1 - wet, rampTime)
+  },
+
+  disconnectEffect: function (effect) {
+    try {
+      effect.inputNode.disconnect()
+      effect.node.disconnect()
+      effect.dryGain.disconnect()
+      effect.wetGain.disconnect()
+      effect.outputNode.disconnect()
+      if (effect.feedbackGain) effect.feedbackGain.disconnect()
+    } catch (e) {
+      // Ignore disconnect errors
+    }
+  },
+
+  // Exponentially decaying stereo noise, good enough for room reverb
+  createReverbImpulse: function (duration, decay) {
+    const rate = this.audioContext.sampleRate
+    const length = Math.max(1, Math.floor(rate * Math.max(duration, 0.01)))
+    const impulse = this.audioContext.createBuffer(2, length, rate)
+
+    // Fixed seed so the same settings always give the same tail, and offline
+    // renders come out identical every run
+    const random = this.createSfxRandom(1)
+    for (let channel = 0; channel < 2; channel++) {
+      const data = impulse.getChannelData(channel)
+      for (let i = 0; i < length; i++) {
+        data[i] = (random() * 2 - 1) * Math.pow(1 - i / length, decay)
+      }
+    }
+
+    return impulse
+  },
+
+  // Move an AudioParam to `value` over `rampTime` seconds (immediately if
+  // zero), following one of AUDIO_FADE_CURVES (linear by default)
+  rampParam: function (param, value, rampTime, curve) {
+    const now = this.audioContext.currentTime
+    const from = param.value
+    param.cancelScheduledValues(now)
+
+    if (!(rampTime > 0)) {
+      param.setValueAtTime(value, now)
+      return
+    }
+
+    switch (AUDIO_FADE_CURVES[curve]) {
+      case "exponential":
+        // Exponential ramps can't start or end at zero
+        param.setValueAtTime(Math.max(from, 0.0001), now)
+        param.exponentialRampToValueAtTime(
+          Math.max(value, 0.0001),
+          now + rampTime,
+        )
+        if (value <= 0) param.setValueAtTime(0, now + rampTime)
+        break
+      case "smooth": {
+        // Cosine S-curve, gentle at both ends
+        const steps = 64
+        const values = new Float32Array(steps)
+        for (let i = 0; i < steps; i++) {
+          const t = (1 - Math.cos((i / (steps - 1)) * Math.PI)) / 2
+          values[i] = from + (value - from) * t
+        }
+        param.setValueCurveAtTime(values, now, rampTime)
+        break
+      }
+      default:
+        param.setValueAtTime(from, now)
+        param.linearRampToValueAtTime(value, now + rampTime)
+        break
+    }
+  },
+
+  // ==========================================
+  // VOICE LIMITS
+  // ==========================================
+
+  setAudioVoiceLimit: function (maxVoices, policy) {
+    this.maxVoices = Math.max(maxVoices, 0)
+    this.voiceStealPolicy = policy
+  },
+
+  setAudioSourceVoiceLimit: function (sourceHandle, maxVoices, policy) {
+    if (maxVoices > 0) {
+      this.sourceVoiceLimits.set(sourceHandle, { maxVoices, policy })
+    } else {
+      this.sourceVoiceLimits.delete(sourceHandle)
+    }
+  },
+
+  setAudioBusVoiceLimit: function (busHandle, maxVoices, policy) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return
+
+    bus.maxVoices = Math.max(maxVoices, 0)
+    bus.voiceStealPolicy = policy
+  },
+
+  getAudioVoiceCount: function () {
+    let count = 0
+    for (const [handle, instance] of this.instances) {
+      if (!instance.stopped && !instance.stolen) count++
+    }
+    return count
+  },
+
+  // Make room for a new play under the source, bus and global limits.
+  // Returns false if the play should be dropped instead.
+  allocateVoice: function (params) {
+    const limits = []
+
+    const sourceLimit = this.sourceVoiceLimits.get(params.sourceHandle)
+    if (sourceLimit) {
+      limits.push({
+        maxVoices: sourceLimit.maxVoices,
+        policy: sourceLimit.policy,
+        match: (instance) => instance.sourceHandle === params.sourceHandle,
+      })
+    }
+
+    const bus = this.buses.get(params.busHandle)
+    if (bus && bus.maxVoices > 0) {
+      limits.push({
+        maxVoices: bus.maxVoices,
+        policy: bus.voiceStealPolicy,
+        match: (instance) => instance.busHandle === params.busHandle,
+      })
+    }
+
+    if (this.maxVoices > 0) {
+      limits.push({
+        maxVoices: this.maxVoices,
+        policy: this.voiceStealPolicy,
+        match: () => true,
+      })
+    }
+
+    // Pick every victim first, so a rejecting limit doesn't leave voices
+    // stolen by an earlier one for nothing
+    const victims = new Set()
+    for (const limit of limits) {
+      const policy = AUDIO_STEAL_POLICIES[limit.policy] || "oldest"
+
+      const voices = []
+      for (const [handle, instance] of this.instances) {
+        if (instance.stopped || instance.stolen || victims.has(handle)) continue
+        if (limit.match(instance)) voices.push(instance)
+      }
+
+      const excess = voices.length - limit.maxVoices + 1
+      if (excess <= 0) continue
+      if (policy === "reject") return false
+
+      voices.sort(
+        (a, b) => this.voicePriority(a, policy) - this.voicePriority(b, policy),
+      )
+
+      // Don't steal a louder or nearer voice to play a weaker one
+      if (
+        this.voicePriority(params, policy) <
+        this.voicePriority(voices[0], policy)
+      ) {
+        return false
+      }
+
+      for (let i = 0; i < excess; i++) {
+        victims.add(voices[i].handle)
+      }
+    }
+
+    for (const handle of victims) {
+      this.stealVoice(handle)
+    }
+    return true
+  },
+
+  // Higher priority voices are kept. Works on both instances and the params
+  // of a play that hasn't started yet.
+  voicePriority: function (voice, policy) {
+    switch (policy) {
+      case "quietest":
+        return (
+          voice.volume *
+          this.getAudioBusEffectiveVolume(voice.busHandle) *
+          this.getDistanceGain(voice)
+        )
+      case "farthest":
+        return -this.getListenerDistance(voice)
+      default:
+        return voice.handle
+    }
+  },
+
+  getListenerDistance: function (voice) {
+    if (!voice.isSpatial) return 0
+    const dx = voice.posX - this.listenerX
+    const dy = voice.posY - this.listenerY
+    const dz = (voice.posZ || 0) - this.listenerZ
+    return Math.sqrt(dx * dx + dy * dy + dz * dz)
+  },
+
+  // Distance attenuation of a spatial voice, using the PannerNode formulas
+  // (cones aside)
+  getDistanceGain: function (voice) {
+    if (!voice.isSpatial) return 1
+
+    const ref = voice.minDistance
+    const max = voice.maxDistance
+    const rolloff = voice.rolloffFactor === undefined ? 1 : voice.rolloffFactor
+    const distance = this.getListenerDistance(voice)
+
+    switch (AUDIO_DISTANCE_MODELS[voice.distanceModel] || "linear") {
+      case "inverse":
+        if (ref <= 0) return 1
+        return ref / (ref + rolloff * (Math.max(distance, ref) - ref))
+      case "exponential":
+        if (ref <= 0) return 1
+        return Math.pow(Math.max(distance, ref) / ref, -rolloff)
+      default: {
+        if (max <= ref) return distance <= ref ? 1 : 0
+        const clamped = Math.min(Math.max(distance, ref), max)
+        return 1 - (rolloff * (clamped - ref)) / (max - ref)
+      }
+    }
+  },
+
+  // Quick fade so the stolen voice doesn't click, reported as stolen and
+  // finished once it's stopped. Until then it no longer counts as a voice.
+  stealVoice: function (instanceHandle) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance) return
+
+    this.fadeStopAudio(instanceHandle, 0.015, 0, instance.hasCallback)
+    instance.stolen = true
+  },
+
+  // ==========================================
+  // SETTINGS PERSISTENCE
+  // ==========================================
+
+  // Opt in to saving player volume settings in localStorage under `key`,
+  // which should be unique to the game. Buses are saved by name: "master"
+  // is bound to the main bus, others with bindAudioSettingsBus. Only
+  // setAudioBusVolume and setAudioBusMuted are saved, so fades and
+  // snapshots never overwrite the player's choice. An empty key turns it
+  // off again.
+  setAudioSettingsKey: function (key) {
+    const settings = this.settings
+    this.flushAudioSettings()
+    settings.key = key
+    settings.values = {}
+    if (!key) return
+
+    try {
+      const saved = JSON.parse(
+        localStorage.getItem(AUDIO_SETTINGS_PREFIX + key) || "null",
+      )
+      if (saved && saved.buses) settings.values = saved.buses
+    } catch (e) {
+      console.error("Failed to read saved audio settings:", e)
+    }
+
+    if (!settings.bindings.has("master")) {
+      settings.bindings.set("master", {
+        busHandle: 1,
+        defaultVolume: 1.0,
+        defaultMuted: false,
+      })
+    }
+
+    if (!settings.listening) {
+      settings.listening = true
+      window.addEventListener("pagehide", () => this.flushAudioSettings())
+    }
+
+    if (this.initialized) this.applyAudioSettings()
+  },
+
+  // Give a bus a settings name, restoring its saved volume and mute, or the
+  // defaults if nothing was saved
+  bindAudioSettingsBus: function (
+    name,
+    busHandle,
+    defaultVolume,
+    defaultMuted,
+  ) {
+    if (!name || !this.buses.has(busHandle)) return
+
+    this.settings.bindings.set(name, {
+      busHandle: busHandle,
+      defaultVolume: defaultVolume,
+      defaultMuted: defaultMuted,
+    })
+    this.applyAudioSetting(name)
+  },
+
+  applyAudioSettings: function () {
+    for (const name of this.settings.bindings.keys()) {
+      this.applyAudioSetting(name)
+    }
+  },
+
+  applyAudioSetting: function (name) {
+    const binding = this.settings.bindings.get(name)
+    const bus = this.buses.get(binding.busHandle)
+    if (!bus) return
+
+    const saved = this.settings.key ? this.settings.values[name] : null
+    bus.volume =
+      saved && typeof saved.volume === "number"
+        ? saved.volume
+        : binding.defaultVolume
+    bus.muted =
+      saved && typeof saved.muted === "boolean"
+        ? saved.muted
+        : binding.defaultMuted
+    this.rampParam(bus.gainNode.gain, bus.muted ? 0 : bus.volume, 0)
+  },
+
+  // Called by the bus volume and mute setters
+  recordAudioSetting: function (busHandle, field, value) {
+    const settings = this.settings
+    if (!settings.key || this.isOfflineRendering()) return
+
+    for (const [name, binding] of settings.bindings) {
+      if (binding.busHandle !== busHandle) continue
+
+      settings.values[name] = settings.values[name] || {}
+      settings.values[name][field] = value
+
+      // Sliders call this every frame while dragged
+      if (!settings.saveTimer) {
+        settings.saveTimer = setTimeout(
+          () => this.flushAudioSettings(),
+          AUDIO_SETTINGS_SAVE_DELAY_MS,
+        )
+      }
+    }
+  },
+
+  flushAudioSettings: function () {
+    const settings = this.settings
+    if (!settings.saveTimer) return
+
+    clearTimeout(settings.saveTimer)
+    settings.saveTimer = null
+
+    try {
+      localStorage.setItem(
+        AUDIO_SETTINGS_PREFIX + settings.key,
+        JSON.stringify({ version: 1, buses: settings.values }),
+      )
+    } catch (e) {
+      console.error("Failed to save audio settings:", e)
+    }
+  },
+
+  // Forget the saved settings and put every bound bus back to its defaults
+  resetAudioSettings: function () {
+    const settings = this.settings
+    clearTimeout(settings.saveTimer)
+    settings.saveTimer = null
+    settings.values = {}
+
+    if (settings.key) {
+      try {
+        localStorage.removeItem(AUDIO_SETTINGS_PREFIX + settings.key)
+      } catch (e) {
+        console.error("Failed to clear audio settings:", e)
+      }
+    }
+
+    this.applyAudioSettings()
+  },
+
+  // ==========================================
+  // MIXER SNAPSHOTS
+  // ==========================================
+
+  // Snapshots are flat maps of mixer fields to values. Field keys are
+  // "bus/<handle>/volume", "bus/<handle>/muted", "effect/<handle>/bypassed"
+  // and "effect/<handle>/<param index>". A snapshot only touches the fields
+  // it has, so partial ones can be built up with the setters below.
+  getSnapshot: function (name) {
+    let snapshot = this.snapshots.get(name)
+    if (!snapshot) {
+      snapshot = new Map()
+      this.snapshots.set(name, snapshot)
+    }
+    return snapshot
+  },
+
+  // Record every bus and effect as it is now
+  captureAudioSnapshot: function (name) {
+    const snapshot = new Map()
+    for (const [handle, bus] of this.buses) {
+      snapshot.set(`bus/${handle}/volume`, bus.volume)
+      snapshot.set(`bus/${handle}/muted`, bus.muted)
+    }
+    for (const [handle, effect] of this.effects) {
+      snapshot.set(`effect/${handle}/bypassed`, effect.bypassed)
+      AUDIO_EFFECT_PARAMS.forEach((paramName, param) => {
+        if (this.hasEffectParam(effect, paramName)) {
+          snapshot.set(
+            `effect/${handle}/${param}`,
+            this.getAudioBusEffectParam(handle, param),
+          )
+        }
+      })
+    }
+    this.snapshots.set(name, snapshot)
+    if (this.isAudioSnapshotActive(name)) this.applySnapshots(0)
+  },
+
+  hasEffectParam: function (effect, paramName) {
+    switch (paramName) {
+      case "mix":
+        return true
+      case "feedback":
+        return !!effect.feedbackGain
+      case "duration":
+      case "decay":
+        return effect.type === "reverb"
+    }
+    return effect.node[paramName] instanceof AudioParam
+  },
+
+  setAudioSnapshotField: function (name, key, value) {
+    this.getSnapshot(name).set(key, value)
+    if (this.isAudioSnapshotActive(name)) this.applySnapshots(0)
+  },
+
+  setAudioSnapshotBusVolume: function (name, busHandle, volume) {
+    this.setAudioSnapshotField(name, `bus/${busHandle}/volume`, volume)
+  },
+
+  setAudioSnapshotBusMuted: function (name, busHandle, muted) {
+    this.setAudioSnapshotField(name, `bus/${busHandle}/muted`, muted)
+  },
+
+  setAudioSnapshotEffectBypassed: function (name, effectHandle, bypassed) {
+    this.setAudioSnapshotField(
+      name,
+      `effect/${effectHandle}/bypassed`,
+      bypassed,
+    )
+  },
+
+  setAudioSnapshotEffectParam: function (name, effectHandle, param, value) {
+    if (!AUDIO_EFFECT_PARAMS[param]) return
+    this.setAudioSnapshotField(name, `effect/${effectHandle}/${param}`, value)
+  },
+
+  deleteAudioSnapshot: function (name) {
+    this.popAudioSnapshot(name, 0)
+    this.snapshots.delete(name)
+  },
+
+  // Activate a snapshot, blending over `seconds`. Higher priorities win
+  // where snapshots overlap; on a tie the later push wins. Pushing an active
+  // snapshot again just updates its priority.
+  pushAudioSnapshot: function (name, priority, seconds) {
+    if (!this.snapshots.has(name)) return false
+
+    this.activeSnapshots = this.activeSnapshots.filter((s) => s.name !== name)
+    this.activeSnapshots.push({
+      name: name,
+      priority: priority,
+      order: this.nextSnapshotOrder++,
+    })
+    this.applySnapshots(seconds)
+    return true
+  },
+
+  // Deactivate a snapshot (the latest pushed one if `name` is empty). Fields
+  // no other active snapshot covers blend back to what they were before.
+  popAudioSnapshot: function (name, seconds) {
+    const active = this.activeSnapshots
+    if (active.length === 0) return
+
+    if (!name) {
+      name = active.reduce((a, b) => (a.order > b.order ? a : b)).name
+    }
+
+    this.activeSnapshots = active.filter((s) => s.name !== name)
+    if (this.activeSnapshots.length !== active.length) {
+      this.applySnapshots(seconds)
+    }
+  },
+
+  isAudioSnapshotActive: function (name) {
+    return this.activeSnapshots.some((s) => s.name === name)
+  },
+
+  // Work out every covered field from the active stack and blend to it.
+  // The first time a field is covered its current value is saved, and it
+  // goes back to that once nothing covers it.
+  applySnapshots: function (seconds) {
+    const stack = [...this.activeSnapshots].sort(
+      (a, b) => a.priority - b.priority || a.order - b.order,
+    )
+
+    const targets = new Map()
+    for (const active of stack) {
+      for (const [key, value] of this.snapshots.get(active.name)) {
+        if (!this.snapshotBase.has(key)) {
+          const current = this.readMixerField(key)
+          if (current === undefined) continue
+          this.snapshotBase.set(key, current)
+        }
+        targets.set(key, value)
+      }
+    }
+
+    for (const [key, value] of this.snapshotBase) {
+      if (!targets.has(key)) {
+        targets.set(key, value)
+        this.snapshotBase.delete(key)
+      }
+    }
+
+    for (const [key, value] of targets) {
+      if (!this.mixerFieldEquals(this.readMixerField(key), value)) {
+        this.writeMixerField(key, value, seconds)
+      }
+    }
+  },
+
+  // AudioParams only hold f32, so numbers match at that precision
+  mixerFieldEquals: function (a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+      return Math.fround(a) === Math.fround(b)
+    }
+    return a === b
+  },
+
+  // A direct set on a field some snapshot covers is what it goes back to once
+  // nothing covers it
+  setSnapshotBase: function (key, value) {
+    if (this.snapshotBase.has(key)) this.snapshotBase.set(key, value)
+  },
+
+  // Current value of a snapshot field, or undefined if its bus or effect is
+  // gone
+  readMixerField: function (key) {
+    const [kind, handle, field] = key.split("/")
+    if (kind === "bus") {
+      const bus = this.buses.get(Number(handle))
+      return bus ? bus[field] : undefined
+    }
+
+    const effect = this.effects.get(Number(handle))
+    if (!effect) return undefined
+    if (field === "bypassed") return effect.bypassed
+    return this.getAudioBusEffectParam(Number(handle), Number(field))
+  },
+
+  writeMixerField: function (key, value, seconds) {
+    const [kind, handle, field] = key.split("/")
+    if (kind === "bus") {
+      const bus = this.buses.get(Number(handle))
+      if (!bus) return
+
+      bus[field] = value
+      this.rampParam(bus.gainNode.gain, bus.muted ? 0 : bus.volume, seconds)
+      return
+    }
+
+    const effect = this.effects.get(Number(handle))
+    if (!effect) return
+
+    if (field === "bypassed") {
+      effect.bypassed = value
+      this.applyEffectMix(effect, seconds)
+    } else {
+      this.applyEffectParam(Number(handle), Number(field), value, seconds)
+    }
+  },
+
+  // ==========================================
+  // DUCKING
+  // ==========================================
+
+  // While the trigger bus's post-fader level is at or above `thresholdDb`,
+  // the target bus drops by `amountDb`, reaching it over about `attack`
+  // seconds and coming back over about `release`. Ducking is applied at the
+  // target's input, so effect tails already in flight ring out.
+  addAudioDuckRule: function (
+    triggerBus,
+    targetBus,
+    thresholdDb,
+    amountDb,
+    attack,
+    release,
+  ) {
+    if (!this.initialized) return 0
+
+    const trigger = this.buses.get(triggerBus)
+    if (!trigger || !this.buses.has(targetBus) || triggerBus === targetBus) {
+      return 0
+    }
+
+    if (this.isOfflineRendering()) {
+      console.error("Ducking rules can't be added during offline renders")
+      return 0
+    }
+
+    const analyser = this.audioContext.createAnalyser()
+    analyser.fftSize = 1024
+    trigger.gainNode.connect(analyser)
+
+    const handle = this.nextDuckRuleHandle++
+    this.duckRules.set(handle, {
+      triggerBus: triggerBus,
+      targetBus: targetBus,
+      thresholdDb: 0,
+      amountDb: 0,
+      attack: 0,
+      release: 0,
+      analyser: analyser,
+      timeData: new Float32Array(analyser.fftSize),
+      active: false,
+    })
+    this.setAudioDuckRuleParams(handle, thresholdDb, amountDb, attack, release)
+
+    if (!this.duckTimer) {
+      this.duckTimer = setInterval(
+        () => this.updateDucking(),
+        AUDIO_DUCK_INTERVAL_MS,
+      )
+    }
+    return handle
+  },
+
+  removeAudioDuckRule: function (ruleHandle) {
+    const rule = this.duckRules.get(ruleHandle)
+    if (!rule) return
+
+    const trigger = this.getLiveBuses().get(rule.triggerBus)
+    if (trigger) trigger.gainNode.disconnect(rule.analyser)
+    this.duckRules.delete(ruleHandle)
+
+    // Let the target come back up, or once an offline render is done
+    this.updateDucking()
+
+    if (this.duckRules.size === 0) {
+      clearInterval(this.duckTimer)
+      this.duckTimer = null
+    }
+  },
+
+  setAudioDuckRuleParams: function (
+    ruleHandle,
+    thresholdDb,
+    amountDb,
+    attack,
+    release,
+  ) {
+    const rule = this.duckRules.get(ruleHandle)
+    if (!rule) return
+
+    rule.thresholdDb = thresholdDb
+    rule.amountDb = Math.abs(amountDb)
+    rule.attack = Math.max(attack, 0)
+    rule.release = Math.max(release, 0)
+  },
+
+  isAudioDuckRuleActive: function (ruleHandle) {
+    const rule = this.duckRules.get(ruleHandle)
+    return rule ? rule.active : false
+  },
+
+  // How far a bus is currently being ducked, in dB
+  getAudioBusDuck: function (busHandle) {
+    const bus = this.buses.get(busHandle)
+    return bus ? bus.duckDb : 0
+  },
+
+  // Runs on a timer while any rule exists. The deepest active rule on a
+  // target wins.
+  updateDucking: function () {
+    // The offline mixer has its own buses
+    if (this.isOfflineRendering()) return
+
+    const ducks = new Map() // target bus handle -> rule
+    for (const [handle, rule] of this.duckRules) {
+      const data = rule.timeData
+      rule.analyser.getFloatTimeDomainData(data)
+
+      let sum = 0
+      for (let i = 0; i < data.length; i++) sum += data[i] * data[i]
+      const levelDb = 20 * Math.log10(Math.sqrt(sum / data.length) || 1e-10)
+      rule.active = levelDb >= rule.thresholdDb
+
+      const duck = ducks.get(rule.targetBus)
+      if (rule.active && (!duck || rule.amountDb > duck.amountDb)) {
+        ducks.set(rule.targetBus, rule)
+      }
+    }
+
+    const now = this.audioContext.currentTime
+    for (const [handle, bus] of this.buses) {
+      const duck = ducks.get(handle)
+      const duckDb = duck ? duck.amountDb : 0
+      if (duckDb === bus.duckDb) continue
+
+      // Releasing uses the release of the rule that was holding it down
+      const time = duckDb > bus.duckDb ? duck.attack : bus.duckRelease
+      if (duck) bus.duckRelease = duck.release
+
+      const gain = bus.inputNode.gain
+      if (gain.cancelAndHoldAtTime) {
+        gain.cancelAndHoldAtTime(now)
+      } else {
+        gain.cancelScheduledValues(now)
+      }
+      // setTargetAtTime gets ~95% of the way in three time constants
+      gain.setTargetAtTime(
+        Math.pow(10, -duckDb / 20),
+        now,
+        Math.max(time, 0.001) / 3,
+      )
+      bus.duckDb = duckDb
+    }
+  },
+
+  // ==========================================
+  // ANALYSIS
+  // ==========================================
+
+  createAudioBusAnalyser: function (busHandle, fftSize, smoothing) {
+    const bus = this.buses.get(busHandle)
+    if (!bus) return 0
+    return this.createAnalyser(bus.gainNode, null, fftSize, smoothing)
+  },
+
+  createAudioInstanceAnalyser: function (instanceHandle, fftSize, smoothing) {
+    const instance = this.instances.get(instanceHandle)
+    if (!instance || instance.stopped) return 0
+    return this.createAnalyser(instance.gainNode, instance, fftSize, smoothing)
+  },
+
+  // Taps the post-fader output of a bus or instance. The tap is a dead end,
+  // it doesn't change what's heard. Instance taps go away with the instance.
+  createAnalyser: function (tapNode, instance, fftSize, smoothing) {
+    if (!this.initialized) return 0
+
+    const analyser = {
+      node: this.audioContext.createAnalyser(),
+      tapNode: tapNode,
+      instance: instance,
+      ptr: 0,
+      len: 0,
+      rms: 0,
+      peak: 0,
+      freqData: null,
+      timeData: null,
+    }
+    tapNode.connect(analyser.node)
+    this.configureAnalyser(analyser, fftSize, smoothing)
+
+    const handle = this.nextAnalyserHandle++
+    this.analysers.set(handle, analyser)
+    return handle
+  },
+
+  destroyAudioAnalyser: function (analyserHandle) {
+    const analyser = this.analysers.get(analyserHandle)
+    if (!analyser) return
+
+    this.disconnectAnalyser(analyser)
+    this.analysers.delete(analyserHandle)
+  },
+
+  // Taps only have inputs, so detach it from whatever feeds it
+  disconnectAnalyser: function (analyser) {
+    try {
+      analyser.tapNode.disconnect(analyser.node)
+    } catch (e) {
+      // Already disconnected
+    }
+  },
+
+  // A live instance can be stopped while an offline render has the mixer,
+  // so look through both
+  destroyInstanceAnalysers: function (instance) {
+    const maps = [this.analysers]
+    if (this.isOfflineRendering()) maps.push(this.offlineRender.live.analysers)
+
+    for (const analysers of maps) {
+      for (const [handle, analyser] of analysers) {
+        if (analyser.instance !== instance) continue
+        this.disconnectAnalyser(analyser)
+        analysers.delete(handle)
+      }
+    }
+  },
+
+  setAudioAnalyserParams: function (analyserHandle, fftSize, smoothing) {
+    const analyser = this.analysers.get(analyserHandle)
+    if (!analyser) return
+    this.configureAnalyser(analyser, fftSize, smoothing)
+  },
+
+  // FFT size is rounded to a power of two in the 32..32768 range Web Audio
+  // accepts
+  configureAnalyser: function (analyser, fftSize, smoothing) {
+    const size = Math.min(Math.max(fftSize || 2048, 32), 32768)
+    analyser.node.fftSize = Math.pow(2, Math.round(Math.log2(size)))
+    analyser.node.smoothingTimeConstant = Math.min(Math.max(smoothing, 0), 1)
+    analyser.freqData = new Float32Array(analyser.node.frequencyBinCount)
+    analyser.timeData = new Float32Array(analyser.node.fftSize)
+  },
+
+  // Bytes needed for an analyser's output buffer, see updateAudioAnalysers
+  getAudioAnalyserBufferSize: function (analyserHandle) {
+    const analyser = this.analysers.get(analyserHandle)
+    if (!analyser) return 0
+    return 16 + 4 * (analyser.freqData.length + analyser.timeData.length)
+  },
+
+  setAudioAnalyserBuffer: function (analyserHandle, ptr, len) {
+    const analyser = this.analysers.get(analyserHandle)
+    if (!analyser) return
+    analyser.ptr = ptr
+    analyser.len = len
+  },
+
+  // Called once per frame. Each analyser with a buffer gets: f32 RMS, f32
+  // peak, u32 bin count, u32 sample count, then the FFT magnitudes as f32
+  // 0..1 (scaled between the analyser's min and max decibels), then the
+  // waveform as f32 -1..1. Buffers too small for the current FFT size only
+  // get the header.
+  updateAudioAnalysers: function (view) {
+    for (const [handle, analyser] of this.analysers) {
+      const node = analyser.node
+      const freqData = analyser.freqData
+      const timeData = analyser.timeData
+
+      node.getFloatFrequencyData(freqData)
+      node.getFloatTimeDomainData(timeData)
+
+      let sum = 0
+      let peak = 0
+      for (let i = 0; i < timeData.length; i++) {
+        const sample = timeData[i]
+        sum += sample * sample
+        peak = Math.max(peak, Math.abs(sample))
+      }
+      analyser.rms = Math.sqrt(sum / timeData.length)
+      analyser.peak = peak
+
+      if (!view || !analyser.ptr || analyser.len < 16) continue
+
+      const base = analyser.ptr
+      view.setFloat32(base, analyser.rms, true)
+      view.setFloat32(base + 4, analyser.peak, true)
+      view.setUint32(base + 8, freqData.length, true)
+      view.setUint32(base + 12, timeData.length, true)
+
+      if (analyser.len < this.getAudioAnalyserBufferSize(handle)) continue
+
+      const range = node.maxDecibels - node.minDecibels
+      let offset = base + 16
+      for (let i = 0; i < freqData.length; i++) {
+        const level = (freqData[i] - node.minDecibels) / range
+        view.setFloat32(offset, Math.min(Math.max(level, 0), 1), true)
+        offset += 4
+      }
+      for (let i = 0; i < timeData.length; i++) {
+        view.setFloat32(offset, timeData[i], true)
+        offset += 4
+      }
+    }
+  },
+
+  // Levels as of the last updateAudioAnalysers
+  getAudioAnalyserRms: function (analyserHandle) {
+    const analyser = this.analysers.get(analyserHandle)
+    return analyser ? analyser.rms : 0
+  },
+
+  getAudioAnalyserPeak: function (analyserHandle) {
+    const analyser = this.analysers.get(analyserHandle)
+    return analyser ? analyser.peak : 0
+  },
+
+  // ==========================================
+  // OUTPUT STREAMS
+  // ==========================================
+
+  // The worklet module is loaded once per context
+  loadWorkletProcessors: function () {
+    if (!this.workletProcessors) {
+      const url = URL.createObjectURL(
+        new Blob([AUDIO_WORKLET_PROCESSORS], {
+          type: "application/javascript",
+        }),
+      )
+      this.workletProcessors = this.getLiveAudioContext()
+        .audioWorklet.addModule(url)
+        .finally(() => URL.revokeObjectURL(url))
+    }
+    return this.workletProcessors
+  },
+
+  // A stream plays whatever Odin writes into the ring at `ptr` in `memory`,
+  // at the context sample rate. `bufferFrames` is how much has to be queued
+  // before playback starts, and again after an underrun. The handle is
+  // usable straight away; the node joins once the worklet module loads.
+  createAudioStream: function (
+    memory,
+    ptr,
+    capacity,
+    channels,
+    bufferFrames,
+    busHandle,
+  ) {
+    if (!this.initialized) return 0
+
+    if (this.isOfflineRendering()) {
+      console.error("Audio streams aren't available during offline renders")
+      return 0
+    }
+
+    if (!this.audioContext.audioWorklet) {
+      console.error("Audio streams need AudioWorklet support")
+      return 0
+    }
+
+    if (capacity <= 0 || (capacity & (capacity - 1)) !== 0) {
+      console.error("Audio stream capacity must be a power of two")
+      return 0
+    }
+
+    const stream = {
+      memory: memory,
+      ptr: ptr,
+      capacity: capacity,
+      channels: Math.min(Math.max(channels, 1), 32),
+      bufferFrames: this.clampStreamBufferFrames(bufferFrames, capacity),
+      state: AUDIO_LOAD_STATE.LOADING,
+      node: null,
+      gainNode: this.audioContext.createGain(),
+      outputNode: null,
+      busHandle: 0,
+      volume: 1,
+      underruns: 0,
+      need: 0,
+    }
+    this.routeStream(stream, busHandle || 1)
+
+    const handle = this.nextStreamHandle++
+    this.streams.set(handle, stream)
+
+    this.loadWorkletProcessors().then(
+      () => {
+        // Destroyed while loading
+        if (this.streams.get(handle) !== stream) return
+
+        const shared =
+          typeof SharedArrayBuffer !== "undefined" &&
+          memory.buffer instanceof SharedArrayBuffer
+
+        stream.node = new AudioWorkletNode(this.audioContext, "karl2d-stream", {
+          numberOfInputs: 0,
+          outputChannelCount: [stream.channels],
+          processorOptions: {
+            memory: shared ? memory.buffer : null,
+            ptr: ptr,
+            capacity: capacity,
+            channels: stream.channels,
+            bufferFrames: stream.bufferFrames,
+          },
+        })
+        stream.node.port.onmessage = (e) =>
+          this.onAudioStreamMessage(handle, e.data)
+        stream.node.connect(stream.gainNode)
+        stream.state = AUDIO_LOAD_STATE.READY
+      },
+      (e) => {
+        console.error("Failed to load audio stream processor:", e)
+        stream.state = AUDIO_LOAD_STATE.FAILED
+      },
+    )
+
+    return handle
+  },
+
+  destroyAudioStream: function (streamHandle) {
+    const stream = this.streams.get(streamHandle)
+    if (!stream) return
+
+    if (stream.node) {
+      stream.node.port.postMessage({ type: "stop" })
+      stream.node.disconnect()
+    }
+    stream.gainNode.disconnect()
+    this.streams.delete(streamHandle)
+  },
+
+  onAudioStreamMessage: function (streamHandle, msg) {
+    const stream = this.streams.get(streamHandle)
+    if (!stream) return
+
+    switch (msg.type) {
+      case "need":
+        stream.need = msg.frames
+        this.pumpAudioStream(stream)
+        break
+      case "underrun":
+        stream.underruns++
+        this.emitAudioEvent(AUDIO_EVENT.STREAM_UNDERRUN, streamHandle)
+        break
+    }
+  },
+
+  // Without shared memory the worklet can't see the WASM ring, so samples
+  // are copied over when it asks. If Odin hasn't written anything yet the
+  // request waits for the next updateAudioStreams.
+  pumpAudioStream: function (stream) {
+    if (!stream.need || !stream.node) return
+
+    const view = new DataView(stream.memory.buffer)
+    const write = view.getUint32(stream.ptr, true)
+    const read = view.getUint32(stream.ptr + 4, true)
+    const count = Math.min((write - read) >>> 0, stream.need)
+    if (count === 0) return
+
+    const channels = stream.channels
+    const samples = new Float32Array(count * channels)
+    const base = stream.ptr + 8
+    for (let i = 0; i < count; i++) {
+      const slot = ((read + i) & (stream.capacity - 1)) * channels
+      for (let c = 0; c < channels; c++) {
+        samples[i * channels + c] = view.getFloat32(base + (slot + c) * 4, true)
+      }
+    }
+
+    view.setUint32(stream.ptr + 4, (read + count) >>> 0, true)
+    stream.need = 0
+    stream.node.port.postMessage({ type: "samples", samples: samples }, [
+      samples.buffer,
+    ])
+  },
+
+  // Called once per frame after Odin has written its samples
+  updateAudioStreams: function () {
+    for (const [handle, stream] of this.streams) {
+      this.pumpAudioStream(stream)
+    }
+  },
+
+  clampStreamBufferFrames: function (frames, capacity) {
+    return Math.min(Math.max(frames || 2048, 128), capacity)
+  },
+
+  setAudioStreamBufferSize: function (streamHandle, frames) {
+    const stream = this.streams.get(streamHandle)
+    if (!stream) return
+
+    stream.bufferFrames = this.clampStreamBufferFrames(frames, stream.capacity)
+    if (stream.node) {
+      stream.node.port.postMessage({
+        type: "bufferFrames",
+        frames: stream.bufferFrames,
+      })
+    }
+  },
+
+  setAudioStreamBus: function (streamHandle, busHandle) {
+    const stream = this.streams.get(streamHandle)
+    if (!stream || !this.getLiveBuses().has(busHandle)) return
+    this.routeStream(stream, busHandle)
+  },
+
+  routeStream: function (stream, busHandle) {
+    const buses = this.getLiveBuses()
+    const bus = buses.get(busHandle) || buses.get(1)
+    if (stream.outputNode) stream.gainNode.disconnect(stream.outputNode)
+    stream.gainNode.connect(bus.inputNode)
+    stream.outputNode = bus.inputNode
+    stream.busHandle = busHandle
+  },
+
+  setAudioStreamVolume: function (streamHandle, volume) {
+    const stream = this.streams.get(streamHandle)
+    if (!stream) return
+
+    stream.volume = volume
+    this.rampParam(stream.gainNode.gain, volume, 0)
+  },
+
+  getAudioStreamState: function (streamHandle) {
+    const stream = this.streams.get(streamHandle)
+    return stream ? stream.state : AUDIO_LOAD_STATE.FAILED
+  },
+
+  getAudioStreamUnderruns: function (streamHandle) {
+    const stream = this.streams.get(streamHandle)
+    return stream ? stream.underruns : 0
+  },
+
+  getAudioSampleRate: function () {
+    if (!this.initialized) return 0
+    return this.audioContext.sampleRate
+  },
+
+  // ==========================================
+  // RECORDING
+  // ==========================================
+
+  // Record the post-fader output of a bus (1 for everything) through a
+  // MediaRecorder. Stops by itself after `maxSeconds` when that's above 0.
+  startAudioRecording: function (busHandle, maxSeconds) {
+    if (!this.initialized) return 0
+
+    const bus = this.buses.get(busHandle)
+    if (!bus) return 0
+
+    if (this.isOfflineRendering()) {
+      console.error("Recording isn't available during offline renders")
+      return 0
+    }
+
+    if (typeof MediaRecorder === "undefined") {
+      console.error("Audio recording needs MediaRecorder support")
+      return 0
+    }
+
+    const format = AUDIO_RECORDING_FORMATS.findIndex((f) =>
+      MediaRecorder.isTypeSupported(f.mimeType),
+    )
+    if (format < 0) {
+      console.error("No supported audio recording format")
+      return 0
+    }
+
+    const destination = this.audioContext.createMediaStreamDestination()
+    const recording = {
+      busHandle: busHandle,
+      format: format,
+      state: AUDIO_RECORDING_STATE.RECORDING,
+      destination: destination,
+      recorder: new MediaRecorder(destination.stream, {
+        mimeType: AUDIO_RECORDING_FORMATS[format].mimeType,
+      }),
+      chunks: [],
+      bytes: null,
+      timer: null,
+    }
+
+    const handle = this.nextRecordingHandle++
+    recording.recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) recording.chunks.push(e.data)
+    }
+    recording.recorder.onstop = () => this.finishAudioRecording(handle)
+    recording.recorder.onerror = (e) => {
+      console.error("Audio recording failed:", e.error)
+      this.failAudioRecording(handle)
+    }
+
+    bus.gainNode.connect(destination)
+    recording.recorder.start()
+
+    if (maxSeconds > 0) {
+      recording.timer = setTimeout(
+        () => this.stopAudioRecording(handle),
+        maxSeconds * 1000,
+      )
+    }
+
+    this.recordings.set(handle, recording)
+    return handle
+  },
+
+  // The bytes arrive asynchronously; poll the state or wait for the
+  // RECORDING_READY event
+  stopAudioRecording: function (recordingHandle) {
+    const recording = this.recordings.get(recordingHandle)
+    if (!recording || recording.state !== AUDIO_RECORDING_STATE.RECORDING) {
+      return
+    }
+
+    recording.state = AUDIO_RECORDING_STATE.FINISHING
+    this.detachAudioRecording(recording)
+    recording.recorder.stop()
+  },
+
+  detachAudioRecording: function (recording) {
+    clearTimeout(recording.timer)
+    recording.timer = null
+
+    const bus = this.getLiveBuses().get(recording.busHandle)
+    if (bus) bus.gainNode.disconnect(recording.destination)
+  },
+
+  finishAudioRecording: function (recordingHandle) {
+    const recording = this.recordings.get(recordingHandle)
+    if (!recording || recording.state === AUDIO_RECORDING_STATE.FAILED) return
+
+    new Blob(recording.chunks).arrayBuffer().then(
+      (buffer) => {
+        // Destroyed while finishing
+        if (this.recordings.get(recordingHandle) !== recording) return
+
+        recording.chunks = []
+        recording.bytes = new Uint8Array(buffer)
+        recording.state = AUDIO_RECORDING_STATE.READY
+        this.emitAudioEvent(AUDIO_EVENT.RECORDING_READY, recordingHandle)
+      },
+      (e) => {
+        console.error("Failed to read audio recording:", e)
+        this.failAudioRecording(recordingHandle)
+      },
+    )
+  },
+
+  failAudioRecording: function (recordingHandle) {
+    const recording = this.recordings.get(recordingHandle)
+    if (!recording) return
+
+    this.detachAudioRecording(recording)
+    recording.chunks = []
+    recording.state = AUDIO_RECORDING_STATE.FAILED
+    this.emitAudioEvent(AUDIO_EVENT.RECORDING_FAILED, recordingHandle)
+  },
+
+  destroyAudioRecording: function (recordingHandle) {
+    const recording = this.recordings.get(recordingHandle)
+    if (!recording) return
+
+    this.recordings.delete(recordingHandle)
+    this.detachAudioRecording(recording)
+    if (recording.recorder.state !== "inactive") recording.recorder.stop()
+  },
+
+  getAudioRecordingState: function (recordingHandle) {
+    const recording = this.recordings.get(recordingHandle)
+    return recording ? recording.state : AUDIO_RECORDING_STATE.FAILED
+  },
+
+  getAudioRecordingFormat: function (recordingHandle) {
+    const recording = this.recordings.get(recordingHandle)
+    return recording ? recording.format : 0
+  },
+
+  // Encoded bytes of a finished recording, or null
+  getAudioRecordingBytes: function (recordingHandle) {
+    const recording = this.recordings.get(recordingHandle)
+    return recording ? recording.bytes : null
+  },
+
+  // Save a finished recording through the browser's download prompt. The
+  // file extension is added from the recording's format.
+  downloadAudioRecording: function (recordingHandle, filename) {
+    const bytes = this.getAudioRecordingBytes(recordingHandle)
+    if (!bytes) return false
+
+    const format =
+      AUDIO_RECORDING_FORMATS[this.getAudioRecordingFormat(recordingHandle)]
+    const url = URL.createObjectURL(
+      new Blob([bytes], { type: format.mimeType }),
+    )
+    const link = document.createElement("a")
+    link.href = url
+    link.download = (filename || "recording") + "." + format.extension
+    link.style.display = "none"
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+    return true
+  },
+
+  // ==========================================
+  // OFFLINE RENDERING
+  // ==========================================
+
+  // Offline renders swap this mixer state for a fresh one on an
+  // OfflineAudioContext. Sources and handle counters are shared, so a handle
+  // never means something on both mixers; everything else starts empty and
+  // comes back untouched afterwards.
+  createMixerState: function (audioContext) {
+    return {
+      audioContext: audioContext,
+      masterGain: null,
+      listener: null,
+      instances: new Map(),
+      buses: new Map(),
+      effects: new Map(),
+      analysers: new Map(),
+      pendingPlays: [],
+      finishedCallbacks: [],
+      maxVoices: 0,
+      voiceStealPolicy: 0,
+      listenerX: 0,
+      listenerY: 0,
+      listenerZ: 0,
+      listenerVelX: 0,
+      listenerVelY: 0,
+      listenerVelZ: 0,
+      dopplerFactor: 1.0,
+      speedOfSound: 343.0,
+      occlusionCutoff: 600,
+      occlusionGain: 0.35,
+      occlusionSmoothing: 0.05,
+      activeSnapshots: [],
+      snapshotBase: new Map(),
+    }
+  },
+
+  isOfflineRendering: function () {
+    return !!(this.offlineRender && this.offlineRender.live)
+  },
+
+  // Streams, recordings, ducking rules and the microphone stay on the live
+  // context, so their bus handles mean live buses even while an offline
+  // render has the mixer
+  getLiveBuses: function () {
+    return this.isOfflineRendering()
+      ? this.offlineRender.live.buses
+      : this.buses
+  },
+
+  getLiveAudioContext: function () {
+    return this.isOfflineRendering()
+      ? this.offlineRender.live.audioContext
+      : this.audioContext
+  },
+
+  // Start scripting an offline render of `seconds`. Until it finishes, every
+  // call lands on the offline mixer at the script time, which starts at 0
+  // and moves with advanceOfflineRender. Live audio is suspended meanwhile.
+  // Streamed sources, output streams, recording and the music player aren't
+  // available offline, and fade stops still run on wall-clock timers, so
+  // stop instances explicitly for exact results.
+  beginOfflineRender: function (seconds, sampleRate, channels) {
+    if (!this.initialized && !this.init()) return false
+    if (this.isOfflineRendering()) return false
+
+    let context
+    try {
+      context = new (window.OfflineAudioContext ||
+        window.webkitOfflineAudioContext)(
+        Math.min(Math.max(channels, 1), 32),
+        Math.max(Math.ceil(seconds * sampleRate), 1),
+        sampleRate,
+      )
+    } catch (e) {
+      console.error("Failed to create offline audio context:", e)
+      return false
+    }
+
+    const fresh = this.createMixerState(context)
+    const live = {}
+    for (const key in fresh) live[key] = this[key]
+
+    this.offlineRender = {
+      state: AUDIO_OFFLINE_STATE.SCRIPTING,
+      live: live,
+      liveWasRunning: live.audioContext.state === "running",
+      started: false,
+      buffer: null,
+      encoded: [],
+    }
+
+    // Live music waits for the render instead of advancing onto it
+    clearTimeout(this.music.timer)
+    this.music.timer = null
+
+    live.audioContext.suspend()
+    Object.assign(this, fresh)
+    this.createMasterBus()
+    return true
+  },
+
+  // Render up to `time` seconds, then pause for the next script calls.
+  // Rendering is asynchronous: wait for the SCRIPTING state again.
+  // The pause is rounded down to a 128-frame block boundary, as Chrome does,
+  // so every browser stops at the same frame.
+  advanceOfflineRender: function (time) {
+    const render = this.offlineRender
+    if (!this.isOfflineRendering()) return false
+    if (render.state !== AUDIO_OFFLINE_STATE.SCRIPTING) return false
+
+    // Browsers reject pauses that don't land past the current block, so
+    // catch those up front
+    const context = this.audioContext
+    const frame = Math.floor((time * context.sampleRate) / 128) * 128
+    const current = Math.round(context.currentTime * context.sampleRate)
+    if (!(frame > current) || frame >= context.length) return false
+
+    render.state = AUDIO_OFFLINE_STATE.RENDERING
+    let rejected = false
+    context.suspend(frame / context.sampleRate).then(
+      () => {
+        render.state = AUDIO_OFFLINE_STATE.SCRIPTING
+      },
+      (e) => {
+        console.error("Failed to pause offline audio render:", e)
+        rejected = true
+        render.state = AUDIO_OFFLINE_STATE.SCRIPTING
+      },
+    )
+
+    // A rejection settles before this runs, so a refused pause never lets
+    // the render run on unscripted
+    Promise.resolve().then(() => {
+      if (!rejected) this.continueOfflineRender()
+    })
+    return true
+  },
+
+  // Render the rest, then hand the mixer back to live audio
+  finishOfflineRender: function () {
+    const render = this.offlineRender
+    if (!this.isOfflineRendering()) return false
+    if (render.state !== AUDIO_OFFLINE_STATE.SCRIPTING) return false
+
+    render.state = AUDIO_OFFLINE_STATE.RENDERING
+    this.continueOfflineRender()
+    return true
+  },
+
+  continueOfflineRender: function () {
+    const render = this.offlineRender
+    if (render.started) {
+      this.audioContext.resume()
+      return
+    }
+
+    render.started = true
+    this.audioContext.startRendering().then(
+      (buffer) => {
+        render.buffer = buffer
+        render.state = AUDIO_OFFLINE_STATE.READY
+        this.endOfflineRender()
+        this.emitAudioEvent(AUDIO_EVENT.OFFLINE_RENDER_READY, 0)
+      },
+      (e) => {
+        console.error("Offline audio render failed:", e)
+        render.state = AUDIO_OFFLINE_STATE.FAILED
+        this.endOfflineRender()
+        this.emitAudioEvent(AUDIO_EVENT.OFFLINE_RENDER_FAILED, 0)
+      },
+    )
+  },
+
+  // Put the live mixer back. Offline instances have all ended or been cut
+  // off with the render, so there's nothing to stop.
+  endOfflineRender: function () {
+    const render = this.offlineRender
+    if (!render || !render.live) return
+
+    Object.assign(this, render.live)
+    render.live = null
+    if (render.liveWasRunning) this.audioContext.resume()
+
+    // Sources that finished loading during the render only woke the offline
+    // queue, and ducking rules removed meanwhile still hold their targets
+    this.processPendingPlays()
+    this.updateDucking()
+    this.scheduleMusicAdvance()
+  },
+
+  getOfflineRenderState: function () {
+    return this.offlineRender
+      ? this.offlineRender.state
+      : AUDIO_OFFLINE_STATE.IDLE
+  },
+
+  // Script time, or how far the render has got
+  getOfflineRenderTime: function () {
+    return this.isOfflineRendering() ? this.audioContext.currentTime : 0
+  },
+
+  // The finished render in one of AUDIO_RENDER_FORMATS, or null
+  getOfflineRenderBytes: function (format) {
+    const render = this.offlineRender
+    if (!render || !render.buffer || !AUDIO_RENDER_FORMATS[format]) return null
+
+    if (!render.encoded[format]) {
+      render.encoded[format] = this.encodeAudioBuffer(render.buffer, format)
+    }
+    return render.encoded[format]
+  },
+
+  // Interleaved f32 or i16 PCM, or a 16-bit PCM WAV file
+  encodeAudioBuffer: function (buffer, format) {
+    const channels = buffer.numberOfChannels
+    const frames = buffer.length
+    const kind = AUDIO_RENDER_FORMATS[format]
+    const sampleSize = kind === "f32" ? 4 : 2
+    const header = kind === "wav" ? 44 : 0
+    const dataSize = frames * channels * sampleSize
+
+    const bytes = new Uint8Array(header + dataSize)
+    const view = new DataView(bytes.buffer)
+
+    if (kind === "wav") {
+      const writeTag = (offset, tag) => {
+        for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i))
+      }
+      writeTag(0, "RIFF")
+      view.setUint32(4, 36 + dataSize, true)
+      writeTag(8, "WAVE")
+      writeTag(12, "fmt ")
+      view.setUint32(16, 16, true)
+      view.setUint16(20, 1, true) // PCM
+      view.setUint16(22, channels, true)
+      view.setUint32(24, buffer.sampleRate, true)
+      view.setUint32(28, buffer.sampleRate * channels * 2, true)
+      view.setUint16(32, channels * 2, true)
+      view.setUint16(34, 16, true)
+      writeTag(36, "data")
+      view.setUint32(40, dataSize, true)
+    }
+
+    for (let c = 0; c < channels; c++) {
+      const data = buffer.getChannelData(c)
+      for (let i = 0; i < frames; i++) {
+        const offset = header + (i * channels + c) * sampleSize
+        const sample = Math.min(Math.max(data[i], -1), 1)
+        if (kind === "f32") {
+          view.setFloat32(offset, data[i], true)
+        } else {
+          view.setInt16(offset, Math.round(sample * 32767), true)
+        }
+      }
+    }
+
+    return bytes
+  },
+
+  // ==========================================
+  // MICROPHONE
+  // ==========================================
+
+  // Ask for the microphone. The prompt is asynchronous: watch the state or
+  // the MICROPHONE_ACTIVE / MICROPHONE_FAILED events.
+  startMicrophone: function () {
+    if (!this.initialized) return false
+
+    const mic = this.microphone
+    if (
+      mic.state === AUDIO_MIC_STATE.REQUESTING ||
+      mic.state === AUDIO_MIC_STATE.ACTIVE
+    ) {
+      return true
+    }
+
+    if (this.isOfflineRendering()) {
+      console.error("The microphone isn't available during offline renders")
+      return false
+    }
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      mic.state = AUDIO_MIC_STATE.UNAVAILABLE
+      return false
+    }
+
+    mic.state = AUDIO_MIC_STATE.REQUESTING
+    navigator.mediaDevices
+      .getUserMedia({
+        // Raw input; the browser's voice processing skews levels and pitch
+        audio: {
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+        },
+      })
+      .then(
+        (stream) => {
+          // Stopped while the prompt was up
+          if (mic.state !== AUDIO_MIC_STATE.REQUESTING) {
+            stream.getTracks().forEach((track) => track.stop())
+            return
+          }
+
+          // The prompt can outlast the start of an offline render
+          const context = this.getLiveAudioContext()
+          mic.stream = stream
+          mic.sourceNode = context.createMediaStreamSource(stream)
+          mic.analyser = context.createAnalyser()
+          mic.analyser.fftSize = 2048
+          mic.timeData = new Float32Array(mic.analyser.fftSize)
+          mic.sourceNode.connect(mic.analyser)
+
+          mic.gainNode = context.createGain()
+          mic.gainNode.gain.value = mic.volume
+          mic.sourceNode.connect(mic.gainNode)
+          this.routeMicrophone()
+          mic.state = AUDIO_MIC_STATE.ACTIVE
+          mic.permission = AUDIO_MIC_PERMISSION.GRANTED
+
+          if (mic.ring) this.attachMicrophoneCapture()
+          this.emitAudioEvent(AUDIO_EVENT.MICROPHONE_ACTIVE, 0)
+        },
+        (e) => {
+          if (mic.state !== AUDIO_MIC_STATE.REQUESTING) return
+
+          console.error("Failed to open microphone:", e)
+          const denied =
+            e.name === "NotAllowedError" || e.name === "SecurityError"
+          mic.state = denied
+            ? AUDIO_MIC_STATE.DENIED
+            : AUDIO_MIC_STATE.UNAVAILABLE
+          if (denied) mic.permission = AUDIO_MIC_PERMISSION.DENIED
+          this.emitAudioEvent(AUDIO_EVENT.MICROPHONE_FAILED, 0)
+        },
+      )
+    return true
+  },
+
+  stopMicrophone: function () {
+    const mic = this.microphone
+    if (mic.stream) {
+      mic.stream.getTracks().forEach((track) => track.stop())
+    }
+    if (mic.sourceNode) mic.sourceNode.disconnect()
+    if (mic.gainNode) mic.gainNode.disconnect()
+    if (mic.captureNode) {
+      mic.captureNode.port.postMessage({ type: "stop" })
+      mic.captureNode.disconnect()
+    }
+
+    mic.state = AUDIO_MIC_STATE.IDLE
+    mic.stream = null
+    mic.sourceNode = null
+    mic.analyser = null
+    mic.captureNode = null
+    mic.gainNode = null
+    mic.outputNode = null
+    mic.level = 0
+    mic.peak = 0
+    mic.pitch = 0
+  },
+
+  // Check the permission without prompting, where the browser supports it
+  queryMicrophonePermission: function () {
+    const mic = this.microphone
+    if (!navigator.permissions || !navigator.permissions.query) return
+
+    navigator.permissions.query({ name: "microphone" }).then(
+      (status) => {
+        const update = () => {
+          mic.permission =
+            AUDIO_MIC_PERMISSION[status.state.toUpperCase()] ||
+            AUDIO_MIC_PERMISSION.UNKNOWN
+        }
+        update()
+        status.onchange = update
+      },
+      () => {
+        // Firefox and Safari don't know the "microphone" name
+      },
+    )
+  },
+
+  // Raw mono samples go into a ring in `memory` laid out like an output
+  // stream's: u32 write and read frame counters, then `capacity` f32
+  // samples. Blocks that don't fit are dropped and counted as overruns.
+  setMicrophoneRing: function (memory, ptr, capacity) {
+    const mic = this.microphone
+    if (!ptr) {
+      mic.ring = null
+      return
+    }
+
+    if (capacity <= 0 || (capacity & (capacity - 1)) !== 0) {
+      console.error("Microphone ring capacity must be a power of two")
+      return
+    }
+    if (capacity < AUDIO_MIC_BLOCK_FRAMES) {
+      console.error(
+        "Microphone ring capacity must hold at least",
+        AUDIO_MIC_BLOCK_FRAMES,
+        "samples",
+      )
+      return
+    }
+
+    mic.ring = { memory: memory, ptr: ptr, capacity: capacity }
+    if (mic.state === AUDIO_MIC_STATE.ACTIVE) this.attachMicrophoneCapture()
+  },
+
+  attachMicrophoneCapture: function () {
+    const mic = this.microphone
+    if (mic.captureNode || !mic.sourceNode.context.audioWorklet) return
+
+    this.loadWorkletProcessors().then(
+      () => {
+        if (mic.captureNode || !mic.sourceNode) return
+
+        mic.captureNode = new AudioWorkletNode(
+          mic.sourceNode.context,
+          "karl2d-capture",
+          {
+            numberOfOutputs: 0,
+            channelCount: 1,
+            channelCountMode: "explicit",
+            processorOptions: { blockFrames: AUDIO_MIC_BLOCK_FRAMES },
+          },
+        )
+        mic.captureNode.port.onmessage = (e) =>
+          this.writeMicrophoneSamples(e.data.samples)
+        mic.sourceNode.connect(mic.captureNode)
+      },
+      (e) => {
+        console.error("Failed to load microphone capture processor:", e)
+      },
+    )
   },
 
-  stopAudio: function (instanceHandle) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance) return
+  writeMicrophoneSamples: function (samples) {
+    const ring = this.microphone.ring
+    if (!ring) return
 
-    this.stopInstance(instance)
-    this.instances.delete(instanceHandle)
+    const view = new DataView(ring.memory.buffer)
+    const write = view.getUint32(ring.ptr, true)
+    const read = view.getUint32(ring.ptr + 4, true)
+    const free = ring.capacity - ((write - read) >>> 0)
+    if (samples.length > free) {
+      this.microphone.overruns++
+      return
+    }
+
+    const base = ring.ptr + 8
+    for (let i = 0; i < samples.length; i++) {
+      const slot = (write + i) & (ring.capacity - 1)
+      view.setFloat32(base + slot * 4, samples[i], true)
+    }
+    view.setUint32(ring.ptr, (write + samples.length) >>> 0, true)
   },
 
-  pauseAudio: function (instanceHandle) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance || instance.paused || instance.stopped) return
+  // Called once per frame to refresh the level and pitch estimates
+  updateMicrophone: function () {
+    const mic = this.microphone
+    if (mic.state !== AUDIO_MIC_STATE.ACTIVE) return
 
-    // Web Audio doesn't have native pause, so we stop and record position
-    instance.paused = true
-    instance.pauseTime = this.audioContext.currentTime - instance.startTime
+    const data = mic.timeData
+    mic.analyser.getFloatTimeDomainData(data)
 
-    try {
-      instance.sourceNode.stop()
-    } catch (e) {
-      // Ignore
+    let sum = 0
+    let peak = 0
+    for (let i = 0; i < data.length; i++) {
+      sum += data[i] * data[i]
+      peak = Math.max(peak, Math.abs(data[i]))
     }
+    mic.level = Math.sqrt(sum / data.length)
+    mic.peak = peak
+    mic.pitch =
+      mic.level > 0.01
+        ? this.estimatePitch(data, mic.analyser.context.sampleRate)
+        : 0
   },
 
-  resumeAudio: function (instanceHandle) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance || !instance.paused || instance.stopped) return
+  // Autocorrelation pitch estimate in Hz over roughly 60..1000 Hz, or 0 if
+  // there's no clear period. Takes the shortest lag that correlates nearly
+  // as well as the best one, which avoids picking an octave too low.
+  estimatePitch: function (data, sampleRate) {
+    const minLag = Math.floor(sampleRate / 1000)
+    const maxLag = Math.min(Math.floor(sampleRate / 60), data.length >> 1)
+    const size = data.length - maxLag - 1
 
-    const source = this.sources.get(instance.sourceHandle)
-    if (!source) return
+    let energyA = 0
+    let energyB = 0
+    for (let i = 0; i < size; i++) {
+      energyA += data[i] * data[i]
+      energyB += data[i + minLag] * data[i + minLag]
+    }
 
-    // Create new source node and resume from pause position
-    const newSourceNode = this.audioContext.createBufferSource()
-    newSourceNode.buffer = source.buffer
-    newSourceNode.loop = instance.loop
-    newSourceNode.playbackRate.value = instance.pitch
-
-    // Reconnect
-    let lastNode = newSourceNode
-    if (instance.spatialPanner) {
-      lastNode.connect(instance.spatialPanner)
-      lastNode = instance.spatialPanner
-    } else if (instance.pannerNode) {
-      lastNode.connect(instance.pannerNode)
-      lastNode = instance.pannerNode
-    }
-    lastNode.connect(instance.gainNode)
-
-    // Update instance
-    instance.sourceNode = newSourceNode
-    instance.paused = false
-    instance.startTime = this.audioContext.currentTime - instance.pauseTime
+    const correlations = new Float32Array(maxLag + 2)
+    let best = 0
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+      let sum = 0
+      for (let i = 0; i < size; i++) {
+        sum += data[i] * data[i + lag]
+      }
+      const correlation = sum / (Math.sqrt(energyA * energyB) || 1)
+      correlations[lag] = correlation
+      best = Math.max(best, correlation)
 
-    // Set up onended again
-    newSourceNode.onended = () => {
-      if (!instance.stopped && !instance.loop) {
-        if (instance.hasCallback) {
-          this.finishedCallbacks.push(instanceHandle)
-        }
-        this.instances.delete(instanceHandle)
+      // Slide the lagged window's energy along by one sample
+      energyB += data[lag + size] * data[lag + size] - data[lag] * data[lag]
+    }
+
+    if (best < 0.5) return 0
+
+    for (let lag = minLag + 1; lag <= maxLag; lag++) {
+      const c = correlations[lag]
+      if (
+        c >= best * 0.9 &&
+        c >= correlations[lag - 1] &&
+        c >= correlations[lag + 1]
+      ) {
+        // Parabolic interpolation between the neighbouring lags
+        const prev = correlations[lag - 1]
+        const next = correlations[lag + 1]
+        const shift = (prev - next) / (2 * (prev - 2 * c + next) || 1)
+        return sampleRate / (lag + shift)
       }
     }
+    return 0
+  },
+
+  // Monitor the microphone through a bus, or stop with bus 0. Kept across
+  // restarts of the microphone.
+  setMicrophoneBus: function (busHandle) {
+    if (this.isOfflineRendering()) {
+      console.error("The microphone can't be rerouted during offline renders")
+      return
+    }
+    if (busHandle && !this.buses.has(busHandle)) return
 
-    // Start from pause position
-    newSourceNode.start(0, instance.pauseTime)
+    this.microphone.busHandle = busHandle
+    if (this.microphone.gainNode) this.routeMicrophone()
   },
 
-  stopAllAudio: function (busHandle) {
-    for (const [handle, instance] of this.instances) {
-      // If busHandle is 0, stop all. Otherwise filter by bus
-      if (busHandle === 0 || instance.busHandle === busHandle) {
-        this.stopInstance(instance)
-        this.instances.delete(handle)
-      }
+  routeMicrophone: function () {
+    const mic = this.microphone
+    if (mic.outputNode) mic.gainNode.disconnect(mic.outputNode)
+    mic.outputNode = null
+
+    const bus = this.getLiveBuses().get(mic.busHandle)
+    if (bus) {
+      mic.gainNode.connect(bus.inputNode)
+      mic.outputNode = bus.inputNode
     }
   },
 
+  setMicrophoneVolume: function (volume) {
+    const mic = this.microphone
+    mic.volume = volume
+    if (mic.gainNode) this.rampParam(mic.gainNode.gain, volume, 0)
+  },
+
   // ==========================================
-  // LIVE CONTROL
+  // MUSIC PLAYER
   // ==========================================
 
-  setAudioVolume: function (instanceHandle, volume) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance) return
+  // Add a track to the end of the queue, returns its queue index
+  musicEnqueue: function (sourceHandle) {
+    const music = this.music
+    music.queue.push(sourceHandle)
+    const index = music.queue.length - 1
 
-    instance.volume = volume
-    instance.gainNode.gain.value = volume
+    if (music.shuffle) {
+      // Slot it in at random somewhere after the current track
+      const after = music.position + 1
+      const at =
+        after + Math.floor(Math.random() * (music.order.length - after + 1))
+      music.order.splice(at, 0, index)
+    } else {
+      music.order.push(index)
+    }
+
+    return index
   },
 
-  setAudioPan: function (instanceHandle, pan) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance || !instance.pannerNode) return
+  musicClearQueue: function () {
+    if (this.isOfflineRendering()) return
 
-    instance.pannerNode.pan.value = pan
+    this.musicStop(0)
+    this.music.queue = []
+    this.music.order = []
+    this.music.position = -1
   },
 
-  setAudioPitch: function (instanceHandle, pitch) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance) return
+  // Play queue entry `index`, or resume/start from the current track if < 0
+  musicPlay: function (index) {
+    const music = this.music
+    if (music.queue.length === 0 || this.isOfflineRendering()) return
 
-    instance.pitch = pitch
-    instance.sourceNode.playbackRate.value = pitch
+    if (index >= 0 && index < music.queue.length) {
+      music.position = music.order.indexOf(index)
+    } else if (music.paused && music.instance) {
+      this.musicResume()
+      return
+    } else if (music.position < 0) {
+      music.position = 0
+    }
+
+    this.startMusicTrack()
   },
 
-  setAudioLooping: function (instanceHandle, loop) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance) return
+  // The music player stays on the live mixer, so it ignores calls while an
+  // offline render has it swapped out
+  musicStop: function (fadeSeconds) {
+    const music = this.music
+    if (this.isOfflineRendering()) return
 
-    instance.loop = loop
-    instance.sourceNode.loop = loop
+    clearTimeout(music.timer)
+    music.timer = null
+
+    if (music.instance) {
+      if (fadeSeconds > 0) {
+        this.fadeStopAudio(music.instance, fadeSeconds, 0, false)
+      } else {
+        this.stopAudio(music.instance)
+      }
+    }
+
+    music.instance = 0
+    music.paused = false
   },
 
-  setAudioPosition: function (instanceHandle, x, y) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance || !instance.spatialPanner) return
+  musicPause: function () {
+    const music = this.music
+    if (!music.instance || music.paused || this.isOfflineRendering()) return
 
-    if (instance.spatialPanner.positionX) {
-      instance.spatialPanner.positionX.value = x
-      instance.spatialPanner.positionY.value = y
-    } else {
-      instance.spatialPanner.setPosition(x, y, 0)
-    }
+    clearTimeout(music.timer)
+    music.timer = null
+    music.paused = true
+    this.pauseAudio(music.instance)
   },
 
-  // ==========================================
-  // QUERIES
-  // ==========================================
+  musicResume: function () {
+    const music = this.music
+    if (!music.instance || !music.paused || this.isOfflineRendering()) return
 
-  isAudioPlaying: function (instanceHandle) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance) return false
-    return !instance.paused && !instance.stopped
+    music.paused = false
+    this.resumeAudio(music.instance)
+    this.scheduleMusicAdvance()
   },
 
-  isAudioPaused: function (instanceHandle) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance) return false
-    return instance.paused
+  musicNext: function () {
+    this.musicAdvance(1, true)
   },
 
-  getAudioTime: function (instanceHandle) {
-    const instance = this.instances.get(instanceHandle)
-    if (!instance) return 0
+  musicPrevious: function () {
+    this.musicAdvance(-1, true)
+  },
 
-    if (instance.paused) {
-      return instance.pauseTime
-    }
+  musicSetShuffle: function (shuffle) {
+    const music = this.music
+    const current = music.position >= 0 ? music.order[music.position] : -1
 
-    if (instance.stopped) {
-      return 0
-    }
+    music.shuffle = shuffle
+    const rest = music.queue.map((_, i) => i).filter((i) => i !== current)
 
-    const elapsed = this.audioContext.currentTime - instance.startTime
-    const source = this.sources.get(instance.sourceHandle)
-    if (source && instance.loop) {
-      return elapsed % source.duration
+    if (shuffle) {
+      this.shuffleArray(rest)
+      music.order = current >= 0 ? [current, ...rest] : rest
+      music.position = current >= 0 ? 0 : -1
+    } else {
+      music.order = music.queue.map((_, i) => i)
+      music.position = current
     }
-    return Math.min(elapsed, source ? source.duration : elapsed)
   },
 
-  // ==========================================
-  // BUSES
-  // ==========================================
+  musicSetRepeat: function (repeat) {
+    this.music.repeat = repeat
+  },
 
-  createAudioBus: function () {
-    if (!this.initialized) return 0
+  musicSetCrossfade: function (seconds) {
+    this.music.crossfade = Math.max(seconds, 0)
+    if (this.music.timer) this.scheduleMusicAdvance()
+  },
 
-    const handle = this.nextBusHandle++
+  musicSetBus: function (busHandle) {
+    const music = this.music
+    if (this.isOfflineRendering()) return
 
-    const gainNode = this.audioContext.createGain()
-    gainNode.connect(this.masterGain)
+    music.busHandle = busHandle
+    const instance = this.instances.get(music.instance)
+    if (instance) this.routeInstance(instance, busHandle)
+  },
 
-    this.buses.set(handle, {
-      gainNode: gainNode,
-      volume: 1.0,
-      muted: false,
-    })
+  musicSetVolume: function (volume) {
+    if (this.isOfflineRendering()) return
 
-    return handle
+    this.music.volume = volume
+    if (this.music.instance) this.setAudioVolume(this.music.instance, volume)
   },
 
-  destroyAudioBus: function (busHandle) {
-    if (busHandle <= 1) return // Can't destroy main bus
+  musicGetCurrentTrack: function () {
+    const music = this.music
+    if (music.position < 0) return 0
+    return music.queue[music.order[music.position]] || 0
+  },
 
-    const bus = this.buses.get(busHandle)
-    if (!bus) return
+  musicGetCurrentIndex: function () {
+    const music = this.music
+    if (music.position < 0) return -1
+    return music.order[music.position]
+  },
 
-    bus.gainNode.disconnect()
-    this.buses.delete(busHandle)
+  musicGetPosition: function () {
+    if (!this.music.instance) return 0
+    return this.getAudioTime(this.music.instance)
   },
 
-  setAudioBusVolume: function (busHandle, volume) {
-    const bus = this.buses.get(busHandle)
-    if (!bus) return
+  musicIsPlaying: function () {
+    return this.music.instance !== 0 && !this.music.paused
+  },
 
-    bus.volume = volume
-    if (!bus.muted) {
-      bus.gainNode.gain.value = volume
+  // Move `step` tracks through the play order. Automatic advances honour
+  // repeat-one; manual skips always move.
+  musicAdvance: function (step, manual) {
+    const music = this.music
+    if (music.order.length === 0 || this.isOfflineRendering()) return
+
+    let position = music.position + step
+    if (music.repeat === 2 && !manual) {
+      position = music.position
+    }
+
+    if (position >= music.order.length) {
+      if (music.repeat !== 1) {
+        this.musicStop(music.crossfade)
+        return
+      }
+      if (music.shuffle) this.shuffleArray(music.order)
+      position = 0
+    } else if (position < 0) {
+      position = music.repeat === 1 ? music.order.length - 1 : 0
     }
+
+    music.position = position
+    this.startMusicTrack()
   },
 
-  getAudioBusVolume: function (busHandle) {
-    const bus = this.buses.get(busHandle)
-    if (!bus) return 1.0
-    return bus.volume
+  // Start the current track, crossfading out of whatever was playing
+  startMusicTrack: function () {
+    const music = this.music
+    const sourceHandle = music.queue[music.order[music.position]]
+    const fade = music.instance ? this.getMusicCrossfade(sourceHandle) : 0
+    clearTimeout(music.timer)
+    music.timer = null
+
+    if (music.instance) {
+      this.fadeStopAudio(music.instance, fade, 0, false)
+    }
+
+    music.paused = false
+    music.instance = this.playAudio(
+      sourceHandle,
+      music.busHandle,
+      music.volume,
+      0,
+      1,
+      false,
+      0,
+      false,
+      0,
+      0,
+      0,
+      0,
+      false,
+      fade,
+    )
+
+    // Failed or unknown source, or dropped by a voice limit: skip it, unless
+    // nothing in the queue plays. The skip waits a tick so a queue that keeps
+    // failing can't recurse.
+    const started =
+      this.instances.has(music.instance) ||
+      this.pendingPlays.some((p) => p.handle === music.instance)
+    if (!started) {
+      music.instance = 0
+      music.failures++
+      if (music.failures >= music.order.length) {
+        music.failures = 0
+        this.musicStop(0)
+        return
+      }
+      music.timer = setTimeout(() => {
+        music.timer = null
+        this.musicAdvance(1, true)
+      }, 0)
+      return
+    }
+
+    music.failures = 0
+    this.scheduleMusicAdvance()
   },
 
-  setAudioBusMuted: function (busHandle, muted) {
-    const bus = this.buses.get(busHandle)
-    if (!bus) return
+  // Queue the advance so the next track starts one crossfade before the end
+  scheduleMusicAdvance: function () {
+    const music = this.music
+    clearTimeout(music.timer)
+    music.timer = null
+    if (!music.instance || music.paused) return
 
-    bus.muted = muted
-    bus.gainNode.gain.value = muted ? 0 : bus.volume
+    const sourceHandle = this.musicGetCurrentTrack()
+    const duration = this.getAudioDuration(sourceHandle)
+    const pending = this.pendingPlays.some((p) => p.handle === music.instance)
+
+    // Already finished on its own, or its source failed to load
+    if (!pending && !this.instances.has(music.instance)) {
+      this.musicAdvance(1, false)
+      return
+    }
+
+    // Still decoding, or a stream that hasn't reported its duration yet
+    if (pending || !(duration > 0) || duration === Infinity) {
+      music.timer = setTimeout(() => this.scheduleMusicAdvance(), 250)
+      return
+    }
+
+    const remaining = duration - this.getAudioTime(music.instance)
+    const wait = Math.max(remaining - this.getMusicCrossfade(sourceHandle), 0)
+    music.timer = setTimeout(() => {
+      music.timer = null
+      this.musicAdvance(1, false)
+    }, wait * 1000)
   },
 
-  isAudioBusMuted: function (busHandle) {
-    const bus = this.buses.get(busHandle)
-    if (!bus) return false
-    return bus.muted
+  // Crossfades never take more than half a track
+  getMusicCrossfade: function (sourceHandle) {
+    const duration = this.getAudioDuration(sourceHandle)
+    if (!(duration > 0)) return this.music.crossfade
+    return Math.min(this.music.crossfade, duration / 2)
+  },
+
+  shuffleArray: function (array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      const tmp = array[i]
+      array[i] = array[j]
+      array[j] = tmp
+    }
+    return array
   },
 
   // ==========================================
@@ -479,9 +4698,49 @@ const karl2dAudio = {
     if (this.listener.positionX) {
       this.listener.positionX.value = x
       this.listener.positionY.value = y
-      this.listener.positionZ.value = 0
+      this.listener.positionZ.value = this.listenerZ
+    } else {
+      this.listener.setPosition(x, y, this.listenerZ)
+    }
+
+    this.updateAllDoppler()
+  },
+
+  setListenerVelocity: function (x, y, z) {
+    this.listenerVelX = x
+    this.listenerVelY = y
+    this.listenerVelZ = z
+    this.updateAllDoppler()
+  },
+
+  setListenerPosition3D: function (x, y, z) {
+    if (!this.initialized || !this.listener) return
+
+    this.listenerZ = z
+    this.setListenerPosition(x, y)
+  },
+
+  // Forward and up vectors; the default faces -Z with +Y up
+  setListenerOrientation: function (
+    forwardX,
+    forwardY,
+    forwardZ,
+    upX,
+    upY,
+    upZ,
+  ) {
+    if (!this.initialized || !this.listener) return
+
+    const listener = this.listener
+    if (listener.forwardX) {
+      listener.forwardX.value = forwardX
+      listener.forwardY.value = forwardY
+      listener.forwardZ.value = forwardZ
+      listener.upX.value = upX
+      listener.upY.value = upY
+      listener.upZ.value = upZ
     } else {
-      this.listener.setPosition(x, y, 0)
+      listener.setOrientation(forwardX, forwardY, forwardZ, upX, upY, upZ)
     }
   },
 
@@ -496,30 +4755,110 @@ const karl2dAudio = {
     return this.finishedCallbacks.shift()
   },
 
-  // Process any pending play requests where source is now ready
+  // ==========================================
+  // EVENTS
+  // ==========================================
+
+  // The ring lives in WASM memory at `ptr`. A 16 byte header (u32 write
+  // index, u32 read index, u32 dropped count, u32 unused) is followed by
+  // `capacity` 16 byte events (u32 type, u32 handle, f64 audio clock time).
+  // JS advances the write index, Odin consumes up to it and advances read.
+  // Capacity is a power of two so the u32 indices can wrap.
+  setAudioEventRing: function (ptr, capacity) {
+    if (capacity > 0 && (capacity & (capacity - 1)) !== 0) {
+      console.error("Audio event ring capacity must be a power of two")
+      return
+    }
+
+    this.eventRing = capacity > 0 ? { ptr, capacity, dropped: 0 } : null
+    this.events = []
+  },
+
+  emitAudioEvent: function (type, handle, time) {
+    if (!this.eventRing) return
+
+    this.events.push({
+      type: type,
+      handle: handle,
+      time: time !== undefined ? time : this.getAudioClock(),
+    })
+
+    if (this.events.length > AUDIO_EVENT_QUEUE_LIMIT) {
+      this.events.shift()
+      this.eventRing.dropped++
+    }
+  },
+
+  // Copy queued events into the ring, once per frame. Returns how many
+  // were written; anything that didn't fit waits for the next drain.
+  drainAudioEvents: function (view) {
+    const ring = this.eventRing
+    if (!ring) return 0
+
+    this.detectLoopEvents()
+
+    const base = ring.ptr
+    let write = view.getUint32(base, true)
+    const read = view.getUint32(base + 4, true)
+
+    let written = 0
+    while (this.events.length > 0 && (write - read) >>> 0 < ring.capacity) {
+      const event = this.events.shift()
+      const slot = base + 16 + (write & (ring.capacity - 1)) * 16
+      view.setUint32(slot, event.type, true)
+      view.setUint32(slot + 4, event.handle, true)
+      view.setFloat64(slot + 8, event.time, true)
+      write = (write + 1) >>> 0
+      written++
+    }
+
+    view.setUint32(base, write, true)
+    view.setUint32(base + 8, ring.dropped, true)
+    return written
+  },
+
+  // Source nodes don't report loop wrap-around, so spot it as the playback
+  // position jumping backwards between drains
+  detectLoopEvents: function () {
+    const now = this.getAudioClock()
+
+    for (const [handle, instance] of this.instances) {
+      if (!instance.loop || instance.paused || instance.stopped) continue
+
+      const position = this.getAudioTime(handle)
+      if (position < instance.lastPosition) {
+        const wrappedAt = now - (position - (instance.loopStart || 0))
+        this.emitAudioEvent(AUDIO_EVENT.INSTANCE_LOOPED, handle, wrappedAt)
+      }
+      instance.lastPosition = position
+    }
+  },
+
+  // Play pending requests whose source is now ready. Called whenever a
+  // load resolves; plays of sources that failed or were destroyed are
+  // dropped and reported finished so callers waiting on them don't hang.
   processPendingPlays: function () {
     const stillPending = []
     for (const pending of this.pendingPlays) {
-      const source = this.sources.get(pending.sourceHandle)
+      const source = this.getSource(pending.sourceHandle)
+      const state = this.getAudioLoadState(pending.sourceHandle)
       if (source) {
         // Source is ready, play it now
         this.playAudioInternal(pending, source)
+      } else if (state === AUDIO_LOAD_STATE.LOADING) {
+        stillPending.push(pending)
       } else {
-        // Still not ready, keep in queue if we haven't retried too many times
-        pending.retries = (pending.retries || 0) + 1
-        if (pending.retries < 10) {
-          // Max ~5 seconds of retries (10 * 500ms)
-          stillPending.push(pending)
-        } else {
-          console.error("Gave up waiting for source:", pending.sourceHandle)
+        console.error(
+          "Dropped play of unavailable source:",
+          pending.sourceHandle,
+        )
+        this.emitAudioEvent(AUDIO_EVENT.INSTANCE_FAILED, pending.handle)
+        if (pending.hasCallback) {
+          this.finishedCallbacks.push(pending.handle)
         }
       }
     }
     this.pendingPlays = stillPending
-    // Schedule next check if there are still pending plays
-    if (stillPending.length > 0) {
-      setTimeout(() => this.processPendingPlays(), 500)
-    }
   },
 
   // Internal play function used for both immediate and deferred plays
@@ -538,99 +4877,361 @@ const karl2dAudio = {
       minDistance,
       maxDistance,
       hasCallback,
+      fadeIn,
+      loopStart,
+      loopEnd,
+      startAt,
+      posZ,
+      distanceModel,
+      panningModel,
     } = params
 
+    // Older builds don't pass a rolloff; Web Audio's default is 1
+    const rolloffFactor =
+      params.rolloffFactor === undefined ? 1 : params.rolloffFactor
+
+    // Over a voice limit with nothing to steal: drop the play, but still
+    // report it finished so callers waiting on it don't hang
+    if (!this.allocateVoice(params)) {
+      this.emitAudioEvent(AUDIO_EVENT.INSTANCE_FAILED, handle)
+      if (hasCallback) {
+        this.finishedCallbacks.push(handle)
+      }
+      return
+    }
+
     try {
-      // Create source node
-      const sourceNode = this.audioContext.createBufferSource()
-      sourceNode.buffer = source.buffer
-      sourceNode.loop = loop
-      sourceNode.playbackRate.value = pitch
+      // An absolute start time on the audio clock wins over a relative delay.
+      // Plays that were queued past their start time begin right away.
+      const now = this.audioContext.currentTime
+      const startTime = startAt > 0 ? Math.max(startAt, now) : now + delay
 
-      // Create gain node for volume
+      // Create gain node for volume, ramping up from silence when fading in
       const gainNode = this.audioContext.createGain()
-      gainNode.gain.value = volume
+      if (fadeIn > 0) {
+        gainNode.gain.setValueAtTime(0, startTime)
+        gainNode.gain.linearRampToValueAtTime(volume, startTime + fadeIn)
+      } else {
+        gainNode.gain.value = volume
+      }
 
       // Determine output node (bus or master)
-      let outputNode = this.masterGain
+      let outputNode = this.buses.get(1).inputNode
       if (busHandle > 1) {
         const bus = this.buses.get(busHandle)
         if (bus) {
-          outputNode = bus.gainNode
+          outputNode = bus.inputNode
         }
       }
 
-      // Build audio graph
-      let lastNode = sourceNode
+      // Build audio graph. The source node itself is created when the
+      // instance starts, and connects to whichever node heads the chain.
+      let inputNode = gainNode
       let pannerNode = null
       let spatialPanner = null
 
       if (isSpatial) {
         // Use PannerNode for spatial audio
         spatialPanner = this.audioContext.createPanner()
-        spatialPanner.panningModel = "HRTF"
-        spatialPanner.distanceModel = "linear"
+        spatialPanner.panningModel =
+          AUDIO_PANNING_MODELS[panningModel] || "HRTF"
+        spatialPanner.distanceModel =
+          AUDIO_DISTANCE_MODELS[distanceModel] || "linear"
         spatialPanner.refDistance = minDistance
         spatialPanner.maxDistance = maxDistance
-        spatialPanner.rolloffFactor = 1
+        spatialPanner.rolloffFactor = rolloffFactor
+        this.setPannerPosition(spatialPanner, posX, posY, posZ || 0)
 
-        if (spatialPanner.positionX) {
-          spatialPanner.positionX.value = posX
-          spatialPanner.positionY.value = posY
-          spatialPanner.positionZ.value = 0
-        } else {
-          spatialPanner.setPosition(posX, posY, 0)
-        }
-
-        lastNode.connect(spatialPanner)
-        lastNode = spatialPanner
+        spatialPanner.connect(gainNode)
+        inputNode = spatialPanner
       } else if (pan !== 0) {
         pannerNode = this.audioContext.createStereoPanner()
         pannerNode.pan.value = pan
-        lastNode.connect(pannerNode)
-        lastNode = pannerNode
+        pannerNode.connect(gainNode)
+        inputNode = pannerNode
       }
 
-      lastNode.connect(gainNode)
       gainNode.connect(outputNode)
 
       // Store instance data
       const instance = {
+        handle: handle,
         sourceHandle: params.sourceHandle,
-        sourceNode: sourceNode,
+        sourceNode: null,
+        mediaElement: null,
+        startTimer: null,
+        inputNode: inputNode,
         gainNode: gainNode,
         pannerNode: pannerNode,
         spatialPanner: spatialPanner,
         outputNode: outputNode,
         busHandle: busHandle,
-        startTime: this.audioContext.currentTime + delay,
+        isSpatial: isSpatial,
+        posX: posX,
+        posY: posY,
+        posZ: posZ || 0,
+        minDistance: minDistance,
+        maxDistance: maxDistance,
+        distanceModel: distanceModel || 0,
+        rolloffFactor: rolloffFactor,
+        startTime: startTime,
         pauseTime: 0,
         paused: false,
         stopped: false,
-        loop: loop,
+        loop: loop || !!source.loop,
         volume: volume,
         pitch: pitch,
+        dopplerShift: 1,
+        velX: 0,
+        velY: 0,
+        velZ: 0,
+        occlusion: 0,
+        occlusionFilter: null,
+        occlusionGain: null,
         hasCallback: hasCallback,
+        fadeTimer: null,
+        stolen: false,
+        region: source.region || null,
+      }
+
+      // Loop points given to the play override the source's own
+      if (loopStart > 0 || loopEnd > 0) {
+        instance.loopStart = loopStart
+        instance.loopEnd = loopEnd
+      } else {
+        instance.loopStart = source.loopStart || 0
+        instance.loopEnd = source.loopEnd || 0
+      }
+
+      this.instances.set(handle, instance)
+
+      // Start playback
+      this.startInstanceSource(
+        handle,
+        instance,
+        source,
+        startTime,
+        params.offset || 0,
+      )
+      instance.lastPosition = params.offset || 0
+
+      // Spatial settings made while the play was pending
+      if (params.spatial && spatialPanner) {
+        this.applySpatialSettings(instance, params.spatial)
+      }
+
+      this.emitAudioEvent(AUDIO_EVENT.INSTANCE_STARTED, handle, startTime)
+
+      // Paused while the play was pending
+      if (params.paused) this.pauseAudio(handle)
+    } catch (e) {
+      console.error("Failed to play audio:", e)
+      this.instances.delete(handle)
+      this.emitAudioEvent(AUDIO_EVENT.INSTANCE_FAILED, handle)
+    }
+  },
+
+  // Create (or reuse) the node feeding an instance's graph and start it at
+  // context time `when`, `offset` seconds into the source
+  startInstanceSource: function (handle, instance, source, when, offset) {
+    if (source.stream) {
+      this.startStreamSource(handle, instance, source, when, offset)
+      return
+    }
+
+    const sourceNode = this.audioContext.createBufferSource()
+    sourceNode.buffer = source.buffer
+    sourceNode.playbackRate.value = instance.pitch * instance.dopplerShift
+    this.applyLoopRegion(instance, sourceNode)
+    sourceNode.connect(instance.inputNode)
+    const instances = this.instances
+    const finishedCallbacks = this.finishedCallbacks
+    sourceNode.onended = () =>
+      this.onInstanceEnded(
+        handle,
+        instance,
+        sourceNode,
+        instances,
+        finishedCallbacks,
+      )
+
+    instance.sourceNode = sourceNode
+    instance.startTime = when - offset
+
+    // Sprite regions play their slice of the parent buffer, stopping at its
+    // end unless looping
+    const region = instance.region
+    if (!region) {
+      sourceNode.start(when, offset)
+    } else if (instance.loop) {
+      sourceNode.start(when, region.offset + offset)
+    } else {
+      const remaining = Math.max(region.duration - offset, 0)
+      sourceNode.start(when, region.offset + offset, remaining)
+    }
+  },
+
+  // A media element can only be wrapped in one source node, so streamed
+  // instances keep theirs across pause/resume and seek the element instead
+  startStreamSource: function (handle, instance, source, when, offset) {
+    if (!instance.mediaElement) {
+      const element = new Audio(source.url)
+      element.preservesPitch = false
+      instance.mediaElement = element
+      instance.sourceNode = this.audioContext.createMediaElementSource(element)
+      instance.sourceNode.connect(instance.inputNode)
+      const instances = this.instances
+      const finishedCallbacks = this.finishedCallbacks
+
+      // Media elements only loop whole files, so loop regions are done by
+      // seeking back, which is only as precise as timeupdate
+      element.ontimeupdate = () => {
+        const region = this.getLoopRegion(instance)
+        if (instance.loop && region && element.currentTime >= region.end) {
+          element.currentTime = region.start
+        }
+      }
+      element.onended = () => {
+        const region = this.getLoopRegion(instance)
+        if (instance.loop && region && !instance.stopped) {
+          element.currentTime = region.start
+          element.play()
+          return
+        }
+        this.onInstanceEnded(
+          handle,
+          instance,
+          instance.sourceNode,
+          instances,
+          finishedCallbacks,
+        )
       }
+    }
+
+    const element = instance.mediaElement
+    this.applyLoopRegion(instance, null)
+    element.playbackRate = instance.pitch * instance.dopplerShift
+    element.currentTime = offset
+    instance.startTime = when - offset
+
+    const play = () => {
+      instance.startTimer = null
+      if (instance.paused || instance.stopped) return
+      element.play().catch((e) => {
+        console.error("Failed to play audio stream:", e)
+      })
+    }
+
+    // Media elements can't be scheduled on the audio clock
+    const wait = when - this.audioContext.currentTime
+    if (wait > 0) {
+      instance.startTimer = setTimeout(play, wait * 1000)
+    } else {
+      play()
+    }
+  },
+
+  // Loop region for an instance as { start, end } in seconds, or null if it
+  // loops the whole source
+  getLoopRegion: function (instance) {
+    if (!(instance.loopStart > 0) && !(instance.loopEnd > 0)) return null
+
+    const source = this.getSource(instance.sourceHandle)
+    const duration = source ? source.duration : 0
+    const end =
+      instance.loopEnd > 0 ? Math.min(instance.loopEnd, duration) : duration
+    if (!(end > instance.loopStart)) return null
+
+    return { start: instance.loopStart, end: end }
+  },
+
+  // Push the instance's loop flag and region onto its playing node
+  applyLoopRegion: function (instance, sourceNode) {
+    const region = this.getLoopRegion(instance)
+
+    if (instance.mediaElement) {
+      instance.mediaElement.loop = instance.loop && !region
+      return
+    }
 
-      this.instances.set(handle, instance)
+    // Loop points are in source time; sprite regions shift them onto the
+    // parent buffer and otherwise loop their whole slice
+    const slice = instance.region
+    const base = slice ? slice.offset : 0
+    sourceNode.loop = instance.loop
+    if (region) {
+      sourceNode.loopStart = base + region.start
+      sourceNode.loopEnd = base + region.end
+    } else if (slice) {
+      sourceNode.loopStart = base
+      sourceNode.loopEnd = base + slice.duration
+    } else {
+      sourceNode.loopStart = 0
+      sourceNode.loopEnd = 0
+    }
+  },
 
-      // Handle callback when sound ends
-      sourceNode.onended = () => {
-        if (!instance.stopped && !instance.loop) {
-          if (instance.hasCallback) {
-            this.finishedCallbacks.push(handle)
-          }
-          this.instances.delete(handle)
-        }
-      }
+  // Map time since the start of the source onto the playback position,
+  // allowing for an intro before the loop region
+  wrapAudioTime: function (instance, source, time) {
+    const duration = source.duration
+    if (!(duration > 0) || duration === Infinity) return time
 
-      // Start playback
-      const startTime = this.audioContext.currentTime + delay
-      sourceNode.start(startTime)
+    if (!instance.loop) {
+      return Math.min(time, duration)
+    }
+
+    const region = this.getLoopRegion(instance)
+    if (!region) {
+      return time % duration
+    }
+    if (time < region.end) {
+      return time
+    }
+    return region.start + ((time - region.end) % (region.end - region.start))
+  },
+
+  stopInstanceSource: function (instance) {
+    if (instance.startTimer) {
+      clearTimeout(instance.startTimer)
+      instance.startTimer = null
+    }
+
+    if (instance.mediaElement) {
+      instance.mediaElement.pause()
+      return
+    }
+
+    try {
+      if (instance.sourceNode) instance.sourceNode.stop()
     } catch (e) {
-      console.error("Failed to play audio:", e)
+      // Ignore errors if already stopped
+    }
+  },
+
+  // Handle callback when sound ends. Source nodes replaced by pause/resume
+  // still fire onended, so only the instance's current node counts.
+  // `instances` and `finishedCallbacks` belong to the mixer the node started
+  // on, which an offline render may have swapped out since.
+  onInstanceEnded: function (
+    handle,
+    instance,
+    node,
+    instances,
+    finishedCallbacks,
+  ) {
+    if (node !== instance.sourceNode) return
+    if (instance.stopped || instance.paused || instance.loop) return
+
+    clearTimeout(instance.fadeTimer)
+    instance.fadeTimer = null
+
+    this.emitAudioEvent(AUDIO_EVENT.INSTANCE_FINISHED, handle)
+    if (instance.hasCallback) {
+      finishedCallbacks.push(handle)
     }
+    instances.delete(handle)
+    this.destroyInstanceAnalysers(instance)
   },
 }
 
@@ -648,6 +5249,28 @@ function setWasmMemory(memory) {
   wasmMemory = memory
 }
 
+function readWasmString(ptr, len) {
+  const bytes = new Uint8Array(wasmMemory.buffer, ptr, len)
+  return new TextDecoder().decode(bytes)
+}
+
+// Copy `count` interleaved samples out of WASM memory. Copying also sidesteps
+// typed array alignment rules for the pointer.
+function readWasmPcm(ptr, count, format) {
+  const bytes = wasmMemory.buffer.slice(
+    ptr,
+    ptr + count * (AUDIO_PCM_FORMATS[format] === "i16" ? 2 : 4),
+  )
+  switch (AUDIO_PCM_FORMATS[format]) {
+    case "f32":
+      return new Float32Array(bytes)
+    case "i16":
+      return new Int16Array(bytes)
+  }
+  console.error("audio.js: unknown PCM format", format)
+  return null
+}
+
 // Create the imports object for WebAssembly.instantiate
 const karl2dAudioJsImports = {
   karl2d_audio_js: {
@@ -683,26 +5306,120 @@ const karl2dAudioJsImports = {
       const view = new Uint8Array(arrayBuffer)
       view.set(dataCopy)
 
-      karl2dAudio.audioContext
-        .decodeAudioData(arrayBuffer)
-        .then((buffer) => {
-          karl2dAudio.sources.set(handle, {
-            buffer: buffer,
-            duration: buffer.duration,
-          })
-        })
-        .catch((e) => {
-          console.error("Failed to decode audio:", e)
-        })
+      karl2dAudio.decodeAudioSource(handle, arrayBuffer, isStream !== 0)
 
       return handle
     },
+    _js_create_audio_source_pcm: (
+      dataPtr,
+      frameCount,
+      channels,
+      sampleRate,
+      format,
+    ) => {
+      if (!wasmMemory) {
+        console.error("audio.js: WASM memory not available")
+        return 0
+      }
+
+      if (!karl2dAudio.initialized) {
+        karl2dAudio.init()
+      }
+
+      const samples = readWasmPcm(dataPtr, frameCount * channels, format)
+      if (!samples) return 0
+      return karl2dAudio.createAudioSourceFromPcm(samples, channels, sampleRate)
+    },
+    _js_update_audio_source_pcm: (
+      source,
+      dataPtr,
+      frameCount,
+      frameOffset,
+      format,
+    ) => {
+      const sourceData = karl2dAudio.sources.get(source)
+      if (!wasmMemory || !sourceData || !sourceData.buffer) return 0
+
+      const channels = sourceData.buffer.numberOfChannels
+      const samples = readWasmPcm(dataPtr, frameCount * channels, format)
+      if (!samples) return 0
+      return karl2dAudio.updateAudioSourcePcm(source, samples, frameOffset)
+        ? 1
+        : 0
+    },
+    _js_create_audio_sfx: (paramsPtr, seed) => {
+      if (!wasmMemory) {
+        console.error("audio.js: WASM memory not available")
+        return 0
+      }
+
+      if (!karl2dAudio.initialized) {
+        karl2dAudio.init()
+      }
+
+      const view = new DataView(wasmMemory.buffer)
+      return karl2dAudio.createAudioSfx(
+        karl2dAudio.readSfxParams(view, paramsPtr),
+        seed,
+      )
+    },
+    _js_randomize_audio_sfx_params: (preset, seed, paramsPtr) => {
+      if (!wasmMemory) return
+
+      const view = new DataView(wasmMemory.buffer)
+      karl2dAudio.writeSfxParams(
+        view,
+        paramsPtr,
+        karl2dAudio.randomizeSfxParams(preset, seed),
+      )
+    },
+    _js_create_audio_sfx_preset: (preset, seed) => {
+      if (!karl2dAudio.initialized) {
+        karl2dAudio.init()
+      }
+
+      return karl2dAudio.createAudioSfx(
+        karl2dAudio.randomizeSfxParams(preset, seed),
+        seed,
+      )
+    },
+    _js_get_audio_load_state: (source) => {
+      return karl2dAudio.getAudioLoadState(source)
+    },
+    _js_get_audio_load_error: (source) => {
+      return karl2dAudio.getAudioLoadError(source)
+    },
+    _js_get_audio_loading_count: () => {
+      return karl2dAudio.getAudioLoadingCount()
+    },
+    _js_all_audio_ready: () => {
+      return karl2dAudio.areAllAudioSourcesReady() ? 1 : 0
+    },
     _js_destroy_audio: (source) => {
       karl2dAudio.destroyAudio(source)
     },
     _js_get_audio_duration: (source) => {
       return karl2dAudio.getAudioDuration(source)
     },
+    _js_set_audio_source_loop_points: (source, loopStart, loopEnd) => {
+      karl2dAudio.setAudioSourceLoopPoints(source, loopStart, loopEnd)
+    },
+    _js_create_audio_region: (source, offset, duration, namePtr, nameLen) => {
+      const name = nameLen > 0 ? readWasmString(namePtr, nameLen) : ""
+      return karl2dAudio.createAudioRegion(source, offset, duration, name)
+    },
+    _js_get_audio_region: (source, namePtr, nameLen) => {
+      return karl2dAudio.getAudioRegion(
+        source,
+        readWasmString(namePtr, nameLen),
+      )
+    },
+    _js_load_audio_sprite_map: (source, jsonPtr, jsonLen) => {
+      return karl2dAudio.loadAudioSpriteMap(
+        source,
+        readWasmString(jsonPtr, jsonLen),
+      )
+    },
     _js_play_audio: (
       source,
       bus,
@@ -717,6 +5434,14 @@ const karl2dAudioJsImports = {
       minDistance,
       maxDistance,
       hasCallback,
+      fadeIn,
+      loopStart,
+      loopEnd,
+      startAt,
+      posZ,
+      distanceModel,
+      rolloffFactor,
+      panningModel,
     ) => {
       return karl2dAudio.playAudio(
         source,
@@ -732,6 +5457,14 @@ const karl2dAudioJsImports = {
         minDistance,
         maxDistance,
         hasCallback !== 0,
+        fadeIn,
+        loopStart,
+        loopEnd,
+        startAt,
+        posZ,
+        distanceModel,
+        rolloffFactor,
+        panningModel,
       )
     },
     _js_stop_audio: (instance) => {
@@ -749,6 +5482,19 @@ const karl2dAudioJsImports = {
     _js_set_audio_volume: (instance, volume) => {
       karl2dAudio.setAudioVolume(instance, volume)
     },
+    _js_fade_audio: (instance, target, seconds, curve, notify) => {
+      karl2dAudio.fadeAudio(
+        instance,
+        target,
+        seconds,
+        curve,
+        false,
+        notify !== 0,
+      )
+    },
+    _js_fade_stop_audio: (instance, seconds, curve, notify) => {
+      karl2dAudio.fadeStopAudio(instance, seconds, curve, notify !== 0)
+    },
     _js_set_audio_pan: (instance, pan) => {
       karl2dAudio.setAudioPan(instance, pan)
     },
@@ -758,6 +5504,9 @@ const karl2dAudioJsImports = {
     _js_set_audio_looping: (instance, loop) => {
       karl2dAudio.setAudioLooping(instance, loop !== 0)
     },
+    _js_set_audio_loop_points: (instance, loopStart, loopEnd) => {
+      karl2dAudio.setAudioLoopPoints(instance, loopStart, loopEnd)
+    },
     _js_set_audio_position: (instance, x, y) => {
       karl2dAudio.setAudioPosition(instance, x, y)
     },
@@ -770,15 +5519,87 @@ const karl2dAudioJsImports = {
     _js_get_audio_time: (instance) => {
       return karl2dAudio.getAudioTime(instance)
     },
-    _js_create_audio_bus: () => {
-      return karl2dAudio.createAudioBus()
+    _js_set_audio_position_3d: (instance, x, y, z) => {
+      karl2dAudio.setAudioPosition3D(instance, x, y, z)
+    },
+    _js_set_audio_distance_model: (
+      instance,
+      model,
+      minDistance,
+      maxDistance,
+      rolloffFactor,
+    ) => {
+      karl2dAudio.setAudioDistanceModel(
+        instance,
+        model,
+        minDistance,
+        maxDistance,
+        rolloffFactor,
+      )
+    },
+    _js_set_audio_panning_model: (instance, model) => {
+      karl2dAudio.setAudioPanningModel(instance, model)
+    },
+    _js_set_audio_cone: (instance, innerAngle, outerAngle, outerGain) => {
+      karl2dAudio.setAudioCone(instance, innerAngle, outerAngle, outerGain)
+    },
+    _js_set_audio_orientation: (instance, x, y, z) => {
+      karl2dAudio.setAudioOrientation(instance, x, y, z)
+    },
+    _js_set_audio_velocity: (instance, x, y, z) => {
+      karl2dAudio.setAudioVelocity(instance, x, y, z)
     },
-    _js_destroy_audio_bus: (bus) => {
-      karl2dAudio.destroyAudioBus(bus)
+    _js_set_audio_doppler_factor: (factor) => {
+      karl2dAudio.setAudioDopplerFactor(factor)
+    },
+    _js_set_audio_bus_doppler_factor: (bus, factor) => {
+      karl2dAudio.setAudioBusDopplerFactor(bus, factor)
+    },
+    _js_set_audio_speed_of_sound: (speed) => {
+      karl2dAudio.setAudioSpeedOfSound(speed)
+    },
+    _js_set_audio_occlusion: (instance, amount) => {
+      karl2dAudio.setAudioOcclusion(instance, amount)
+    },
+    _js_get_audio_occlusion: (instance) => {
+      return karl2dAudio.getAudioOcclusion(instance)
+    },
+    _js_set_audio_occlusion_params: (cutoff, gain, smoothing) => {
+      karl2dAudio.setAudioOcclusionParams(cutoff, gain, smoothing)
+    },
+    _js_set_audio_time: (instance, seconds) => {
+      karl2dAudio.setAudioTime(instance, seconds)
+    },
+    _js_get_audio_clock: () => {
+      return karl2dAudio.getAudioClock()
+    },
+    _js_get_audio_output_latency: () => {
+      return karl2dAudio.getAudioOutputLatency()
+    },
+    _js_create_audio_bus: (parent) => {
+      return karl2dAudio.createAudioBus(parent)
+    },
+    _js_destroy_audio_bus: (bus, stopChildren) => {
+      karl2dAudio.destroyAudioBus(bus, stopChildren === 1)
+    },
+    _js_set_audio_bus_parent: (bus, parent) => {
+      karl2dAudio.setAudioBusParent(bus, parent)
+    },
+    _js_get_audio_bus_parent: (bus) => {
+      return karl2dAudio.getAudioBusParent(bus)
+    },
+    _js_get_audio_bus_effective_volume: (bus) => {
+      return karl2dAudio.getAudioBusEffectiveVolume(bus)
+    },
+    _js_is_audio_bus_effectively_muted: (bus) => {
+      return karl2dAudio.isAudioBusEffectivelyMuted(bus) ? 1 : 0
     },
     _js_set_audio_bus_volume: (bus, volume) => {
       karl2dAudio.setAudioBusVolume(bus, volume)
     },
+    _js_fade_audio_bus: (bus, target, seconds, curve) => {
+      karl2dAudio.fadeAudioBus(bus, target, seconds, curve)
+    },
     _js_get_audio_bus_volume: (bus) => {
       return karl2dAudio.getAudioBusVolume(bus)
     },
@@ -788,9 +5609,446 @@ const karl2dAudioJsImports = {
     _js_is_audio_bus_muted: (bus) => {
       return karl2dAudio.isAudioBusMuted(bus) ? 1 : 0
     },
+    _js_add_audio_bus_effect: (bus, type, index) => {
+      return karl2dAudio.addAudioBusEffect(bus, type, index)
+    },
+    _js_remove_audio_bus_effect: (effect) => {
+      karl2dAudio.removeAudioBusEffect(effect)
+    },
+    _js_set_audio_bus_effect_bypassed: (effect, bypassed) => {
+      karl2dAudio.setAudioBusEffectBypassed(effect, bypassed !== 0)
+    },
+    _js_is_audio_bus_effect_bypassed: (effect) => {
+      return karl2dAudio.isAudioBusEffectBypassed(effect) ? 1 : 0
+    },
+    _js_set_audio_bus_effect_param: (effect, param, value, rampTime) => {
+      karl2dAudio.setAudioBusEffectParam(effect, param, value, rampTime)
+    },
+    _js_get_audio_bus_effect_param: (effect, param) => {
+      return karl2dAudio.getAudioBusEffectParam(effect, param)
+    },
+    _js_set_audio_bus_effect_impulse: (effect, dataPtr, dataLen) => {
+      if (!wasmMemory) {
+        console.error("audio.js: WASM memory not available")
+        return
+      }
+
+      // Copy out of WASM memory before decoding in the background
+      const data = new Uint8Array(wasmMemory.buffer, dataPtr, dataLen)
+      const arrayBuffer = new Uint8Array(data).buffer
+      karl2dAudio.setAudioBusEffectImpulse(effect, arrayBuffer)
+    },
+    _js_set_audio_voice_limit: (maxVoices, policy) => {
+      karl2dAudio.setAudioVoiceLimit(maxVoices, policy)
+    },
+    _js_set_audio_source_voice_limit: (source, maxVoices, policy) => {
+      karl2dAudio.setAudioSourceVoiceLimit(source, maxVoices, policy)
+    },
+    _js_set_audio_bus_voice_limit: (bus, maxVoices, policy) => {
+      karl2dAudio.setAudioBusVoiceLimit(bus, maxVoices, policy)
+    },
+    _js_get_audio_voice_count: () => {
+      return karl2dAudio.getAudioVoiceCount()
+    },
+    _js_set_audio_settings_key: (keyPtr, keyLen) => {
+      karl2dAudio.setAudioSettingsKey(readWasmString(keyPtr, keyLen))
+    },
+    _js_bind_audio_settings_bus: (
+      namePtr,
+      nameLen,
+      bus,
+      defaultVolume,
+      defaultMuted,
+    ) => {
+      karl2dAudio.bindAudioSettingsBus(
+        readWasmString(namePtr, nameLen),
+        bus,
+        defaultVolume,
+        defaultMuted !== 0,
+      )
+    },
+    _js_save_audio_settings: () => {
+      karl2dAudio.flushAudioSettings()
+    },
+    _js_reset_audio_settings: () => {
+      karl2dAudio.resetAudioSettings()
+    },
+    _js_capture_audio_snapshot: (namePtr, nameLen) => {
+      karl2dAudio.captureAudioSnapshot(readWasmString(namePtr, nameLen))
+    },
+    _js_set_audio_snapshot_bus_volume: (namePtr, nameLen, bus, volume) => {
+      karl2dAudio.setAudioSnapshotBusVolume(
+        readWasmString(namePtr, nameLen),
+        bus,
+        volume,
+      )
+    },
+    _js_set_audio_snapshot_bus_muted: (namePtr, nameLen, bus, muted) => {
+      karl2dAudio.setAudioSnapshotBusMuted(
+        readWasmString(namePtr, nameLen),
+        bus,
+        muted !== 0,
+      )
+    },
+    _js_set_audio_snapshot_effect_bypassed: (
+      namePtr,
+      nameLen,
+      effect,
+      bypassed,
+    ) => {
+      karl2dAudio.setAudioSnapshotEffectBypassed(
+        readWasmString(namePtr, nameLen),
+        effect,
+        bypassed !== 0,
+      )
+    },
+    _js_set_audio_snapshot_effect_param: (
+      namePtr,
+      nameLen,
+      effect,
+      param,
+      value,
+    ) => {
+      karl2dAudio.setAudioSnapshotEffectParam(
+        readWasmString(namePtr, nameLen),
+        effect,
+        param,
+        value,
+      )
+    },
+    _js_delete_audio_snapshot: (namePtr, nameLen) => {
+      karl2dAudio.deleteAudioSnapshot(readWasmString(namePtr, nameLen))
+    },
+    _js_push_audio_snapshot: (namePtr, nameLen, priority, seconds) => {
+      return karl2dAudio.pushAudioSnapshot(
+        readWasmString(namePtr, nameLen),
+        priority,
+        seconds,
+      )
+        ? 1
+        : 0
+    },
+    _js_pop_audio_snapshot: (namePtr, nameLen, seconds) => {
+      karl2dAudio.popAudioSnapshot(readWasmString(namePtr, nameLen), seconds)
+    },
+    _js_is_audio_snapshot_active: (namePtr, nameLen) => {
+      return karl2dAudio.isAudioSnapshotActive(readWasmString(namePtr, nameLen))
+        ? 1
+        : 0
+    },
+    _js_add_audio_duck_rule: (
+      triggerBus,
+      targetBus,
+      thresholdDb,
+      amountDb,
+      attack,
+      release,
+    ) => {
+      return karl2dAudio.addAudioDuckRule(
+        triggerBus,
+        targetBus,
+        thresholdDb,
+        amountDb,
+        attack,
+        release,
+      )
+    },
+    _js_remove_audio_duck_rule: (rule) => {
+      karl2dAudio.removeAudioDuckRule(rule)
+    },
+    _js_set_audio_duck_rule_params: (
+      rule,
+      thresholdDb,
+      amountDb,
+      attack,
+      release,
+    ) => {
+      karl2dAudio.setAudioDuckRuleParams(
+        rule,
+        thresholdDb,
+        amountDb,
+        attack,
+        release,
+      )
+    },
+    _js_is_audio_duck_rule_active: (rule) => {
+      return karl2dAudio.isAudioDuckRuleActive(rule) ? 1 : 0
+    },
+    _js_get_audio_bus_duck: (bus) => {
+      return karl2dAudio.getAudioBusDuck(bus)
+    },
+    _js_create_audio_bus_analyser: (bus, fftSize, smoothing) => {
+      return karl2dAudio.createAudioBusAnalyser(bus, fftSize, smoothing)
+    },
+    _js_create_audio_instance_analyser: (instance, fftSize, smoothing) => {
+      return karl2dAudio.createAudioInstanceAnalyser(
+        instance,
+        fftSize,
+        smoothing,
+      )
+    },
+    _js_destroy_audio_analyser: (analyser) => {
+      karl2dAudio.destroyAudioAnalyser(analyser)
+    },
+    _js_set_audio_analyser_params: (analyser, fftSize, smoothing) => {
+      karl2dAudio.setAudioAnalyserParams(analyser, fftSize, smoothing)
+    },
+    _js_get_audio_analyser_buffer_size: (analyser) => {
+      return karl2dAudio.getAudioAnalyserBufferSize(analyser)
+    },
+    _js_set_audio_analyser_buffer: (analyser, ptr, len) => {
+      karl2dAudio.setAudioAnalyserBuffer(analyser, ptr, len)
+    },
+    _js_update_audio_analysers: () => {
+      const view = wasmMemory ? new DataView(wasmMemory.buffer) : null
+      karl2dAudio.updateAudioAnalysers(view)
+    },
+    _js_get_audio_analyser_rms: (analyser) => {
+      return karl2dAudio.getAudioAnalyserRms(analyser)
+    },
+    _js_get_audio_analyser_peak: (analyser) => {
+      return karl2dAudio.getAudioAnalyserPeak(analyser)
+    },
+    _js_get_audio_sample_rate: () => {
+      return karl2dAudio.getAudioSampleRate()
+    },
+    _js_create_audio_stream: (ptr, capacity, channels, bufferFrames, bus) => {
+      if (!wasmMemory) {
+        console.error("audio.js: WASM memory not available")
+        return 0
+      }
+
+      if (!karl2dAudio.initialized) {
+        karl2dAudio.init()
+      }
+
+      return karl2dAudio.createAudioStream(
+        wasmMemory,
+        ptr,
+        capacity,
+        channels,
+        bufferFrames,
+        bus,
+      )
+    },
+    _js_destroy_audio_stream: (stream) => {
+      karl2dAudio.destroyAudioStream(stream)
+    },
+    _js_update_audio_streams: () => {
+      karl2dAudio.updateAudioStreams()
+    },
+    _js_set_audio_stream_buffer_size: (stream, frames) => {
+      karl2dAudio.setAudioStreamBufferSize(stream, frames)
+    },
+    _js_set_audio_stream_bus: (stream, bus) => {
+      karl2dAudio.setAudioStreamBus(stream, bus)
+    },
+    _js_set_audio_stream_volume: (stream, volume) => {
+      karl2dAudio.setAudioStreamVolume(stream, volume)
+    },
+    _js_get_audio_stream_state: (stream) => {
+      return karl2dAudio.getAudioStreamState(stream)
+    },
+    _js_get_audio_stream_underruns: (stream) => {
+      return karl2dAudio.getAudioStreamUnderruns(stream)
+    },
+    _js_start_audio_recording: (bus, maxSeconds) => {
+      return karl2dAudio.startAudioRecording(bus, maxSeconds)
+    },
+    _js_stop_audio_recording: (recording) => {
+      karl2dAudio.stopAudioRecording(recording)
+    },
+    _js_destroy_audio_recording: (recording) => {
+      karl2dAudio.destroyAudioRecording(recording)
+    },
+    _js_get_audio_recording_state: (recording) => {
+      return karl2dAudio.getAudioRecordingState(recording)
+    },
+    _js_get_audio_recording_format: (recording) => {
+      return karl2dAudio.getAudioRecordingFormat(recording)
+    },
+    _js_get_audio_recording_size: (recording) => {
+      const bytes = karl2dAudio.getAudioRecordingBytes(recording)
+      return bytes ? bytes.length : 0
+    },
+    // Returns how many bytes were copied
+    _js_copy_audio_recording: (recording, ptr, len) => {
+      const bytes = karl2dAudio.getAudioRecordingBytes(recording)
+      if (!wasmMemory || !bytes) return 0
+
+      const count = Math.min(len, bytes.length)
+      new Uint8Array(wasmMemory.buffer, ptr, count).set(
+        bytes.subarray(0, count),
+      )
+      return count
+    },
+    _js_download_audio_recording: (recording, namePtr, nameLen) => {
+      const filename = wasmMemory ? readWasmString(namePtr, nameLen) : ""
+      return karl2dAudio.downloadAudioRecording(recording, filename) ? 1 : 0
+    },
+    _js_begin_offline_render: (seconds, sampleRate, channels) => {
+      return karl2dAudio.beginOfflineRender(seconds, sampleRate, channels)
+        ? 1
+        : 0
+    },
+    _js_advance_offline_render: (time) => {
+      return karl2dAudio.advanceOfflineRender(time) ? 1 : 0
+    },
+    _js_finish_offline_render: () => {
+      return karl2dAudio.finishOfflineRender() ? 1 : 0
+    },
+    _js_get_offline_render_state: () => {
+      return karl2dAudio.getOfflineRenderState()
+    },
+    _js_get_offline_render_time: () => {
+      return karl2dAudio.getOfflineRenderTime()
+    },
+    _js_get_offline_render_size: (format) => {
+      const bytes = karl2dAudio.getOfflineRenderBytes(format)
+      return bytes ? bytes.length : 0
+    },
+    // Returns how many bytes were copied
+    _js_copy_offline_render: (format, ptr, len) => {
+      const bytes = karl2dAudio.getOfflineRenderBytes(format)
+      if (!wasmMemory || !bytes) return 0
+
+      const count = Math.min(len, bytes.length)
+      new Uint8Array(wasmMemory.buffer, ptr, count).set(
+        bytes.subarray(0, count),
+      )
+      return count
+    },
+    _js_start_microphone: () => {
+      if (!karl2dAudio.initialized) {
+        karl2dAudio.init()
+      }
+
+      return karl2dAudio.startMicrophone() ? 1 : 0
+    },
+    _js_stop_microphone: () => {
+      karl2dAudio.stopMicrophone()
+    },
+    _js_query_microphone_permission: () => {
+      karl2dAudio.queryMicrophonePermission()
+    },
+    _js_get_microphone_state: () => {
+      return karl2dAudio.microphone.state
+    },
+    _js_get_microphone_permission: () => {
+      return karl2dAudio.microphone.permission
+    },
+    _js_set_microphone_ring: (ptr, capacity) => {
+      if (!wasmMemory) {
+        console.error("audio.js: WASM memory not available")
+        return
+      }
+      karl2dAudio.setMicrophoneRing(wasmMemory, ptr, capacity)
+    },
+    _js_get_microphone_overruns: () => {
+      return karl2dAudio.microphone.overruns
+    },
+    _js_update_microphone: () => {
+      karl2dAudio.updateMicrophone()
+    },
+    _js_get_microphone_level: () => {
+      return karl2dAudio.microphone.level
+    },
+    _js_get_microphone_peak: () => {
+      return karl2dAudio.microphone.peak
+    },
+    _js_get_microphone_pitch: () => {
+      return karl2dAudio.microphone.pitch
+    },
+    _js_set_microphone_bus: (bus) => {
+      karl2dAudio.setMicrophoneBus(bus)
+    },
+    _js_set_microphone_volume: (volume) => {
+      karl2dAudio.setMicrophoneVolume(volume)
+    },
+    _js_music_enqueue: (source) => {
+      return karl2dAudio.musicEnqueue(source)
+    },
+    _js_music_clear_queue: () => {
+      karl2dAudio.musicClearQueue()
+    },
+    _js_music_play: (index) => {
+      karl2dAudio.musicPlay(index)
+    },
+    _js_music_stop: (fadeSeconds) => {
+      karl2dAudio.musicStop(fadeSeconds)
+    },
+    _js_music_pause: () => {
+      karl2dAudio.musicPause()
+    },
+    _js_music_resume: () => {
+      karl2dAudio.musicResume()
+    },
+    _js_music_next: () => {
+      karl2dAudio.musicNext()
+    },
+    _js_music_previous: () => {
+      karl2dAudio.musicPrevious()
+    },
+    _js_music_set_shuffle: (shuffle) => {
+      karl2dAudio.musicSetShuffle(shuffle !== 0)
+    },
+    _js_music_set_repeat: (repeat) => {
+      karl2dAudio.musicSetRepeat(repeat)
+    },
+    _js_music_set_crossfade: (seconds) => {
+      karl2dAudio.musicSetCrossfade(seconds)
+    },
+    _js_music_set_bus: (bus) => {
+      karl2dAudio.musicSetBus(bus)
+    },
+    _js_music_set_volume: (volume) => {
+      karl2dAudio.musicSetVolume(volume)
+    },
+    _js_music_get_current_track: () => {
+      return karl2dAudio.musicGetCurrentTrack()
+    },
+    _js_music_get_current_index: () => {
+      return karl2dAudio.musicGetCurrentIndex()
+    },
+    _js_music_get_position: () => {
+      return karl2dAudio.musicGetPosition()
+    },
+    _js_music_is_playing: () => {
+      return karl2dAudio.musicIsPlaying() ? 1 : 0
+    },
     _js_set_listener_position: (x, y) => {
       karl2dAudio.setListenerPosition(x, y)
     },
+    _js_set_listener_position_3d: (x, y, z) => {
+      karl2dAudio.setListenerPosition3D(x, y, z)
+    },
+    _js_set_listener_velocity: (x, y, z) => {
+      karl2dAudio.setListenerVelocity(x, y, z)
+    },
+    _js_set_listener_orientation: (
+      forwardX,
+      forwardY,
+      forwardZ,
+      upX,
+      upY,
+      upZ,
+    ) => {
+      karl2dAudio.setListenerOrientation(
+        forwardX,
+        forwardY,
+        forwardZ,
+        upX,
+        upY,
+        upZ,
+      )
+    },
+    _js_set_audio_event_ring: (ptr, capacity) => {
+      karl2dAudio.setAudioEventRing(ptr, capacity)
+    },
+    _js_drain_audio_events: () => {
+      if (!wasmMemory) return 0
+      return karl2dAudio.drainAudioEvents(new DataView(wasmMemory.buffer))
+    },
     _js_poll_finished_callback: () => {
       const result = karl2dAudio.pollFinishedCallback() | 0
       return result